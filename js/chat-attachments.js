@@ -0,0 +1,191 @@
+// chat-attachments.js - Image attachments for xChat
+//
+// prepareImage() checks a picked, pasted or dropped file against
+// config.chat.attachments and shrinks it in the browser before upload
+// (transport.upload(), see chat-transport.js). Animated GIFs can't be
+// redrawn without losing the animation, so they only get the size check.
+// Messages show the image as a thumbnail that opens in a lightbox.
+
+// Thumbnails in the message list are at most this big (CSS px)
+const THUMB_MAX = 240;
+const RESIZE_QUALITY = 0.85;
+
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+
+function formatBytes(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+}
+
+async function readDimensions(file) {
+    const bitmap = await createImageBitmap(file);
+    const size = { width: bitmap.width, height: bitmap.height };
+    bitmap.close();
+    return size;
+}
+
+function canvasToBlob(canvas, type) {
+    return new Promise(resolve => canvas.toBlob(resolve, type, RESIZE_QUALITY));
+}
+
+async function resize(file, maxDimension) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const width = Math.max(1, Math.round(bitmap.width * scale));
+    const height = Math.max(1, Math.round(bitmap.height * scale));
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+    // PNGs may be screenshots with transparency, keep them lossless unless
+    // that comes out too big; everything else becomes WebP (or JPEG where
+    // the browser can't encode WebP and hands back a PNG)
+    let blob = file.type === 'image/png' ? await canvasToBlob(canvas, 'image/png') : null;
+    if (!blob || blob.size > file.size) blob = await canvasToBlob(canvas, 'image/webp');
+    if (!blob || blob.type !== 'image/webp') blob = await canvasToBlob(canvas, 'image/jpeg');
+    return { blob, width, height };
+}
+
+// Validate and shrink an image for upload. Resolves to
+// { blob, width, height, extension } or throws with a message meant for
+// the visitor.
+export async function prepareImage(file, { maxBytes, maxDimension, types }) {
+    if (!file || !types.includes(file.type)) {
+        throw new Error('Only PNG, JPEG, GIF and WebP images can be shared.');
+    }
+    let result;
+    try {
+        if (file.type === 'image/gif') {
+            result = { blob: file, ...(await readDimensions(file)) };
+        } else {
+            result = await resize(file, maxDimension);
+        }
+    } catch (err) {
+        console.warn('Could not read image:', err);
+        throw new Error("That image couldn't be read.");
+    }
+    if (result.blob.size > maxBytes) {
+        throw new Error(`Images can be at most ${formatBytes(maxBytes)} (this one is ${formatBytes(result.blob.size)}).`);
+    }
+    return { ...result, extension: EXTENSIONS[result.blob.type] || 'img' };
+}
+
+// The first image in a paste or drop, if any
+export function imageFromDataTransfer(dataTransfer) {
+    if (!dataTransfer) return null;
+    return [...(dataTransfer.files || [])].find(file => file.type.startsWith('image/')) || null;
+}
+
+// Attachment URLs end up in <img src> for everyone who reads the message,
+// so only files the transport uploaded (urlPrefix, the Supabase bucket or
+// the WebSocket server) and inline images (the mock transport). Anything
+// else could be a tracker or skip the bucket's size limit.
+export function attachmentSrc(raw, urlPrefix = null) {
+    if (typeof raw !== 'string') return null;
+    if (/^data:image\/(png|jpeg|gif|webp);base64,/.test(raw)) return raw;
+    if (!urlPrefix) return null;
+    try {
+        // Parsed first so "../" can't climb out of the prefix
+        const url = new URL(raw);
+        return url.href.startsWith(urlPrefix) ? url.href : null;
+    } catch {
+        return null;
+    }
+}
+
+let lightbox = null;
+let lastFocus = null;
+
+function closeLightbox() {
+    if (!lightbox || lightbox.hidden) return;
+    lightbox.hidden = true;
+    lightbox.querySelector('img').removeAttribute('src');
+    if (lastFocus) lastFocus.focus();
+    lastFocus = null;
+}
+
+function getLightbox() {
+    if (lightbox) return lightbox;
+    lightbox = document.createElement('div');
+    lightbox.className = 'chat-lightbox';
+    lightbox.hidden = true;
+    lightbox.setAttribute('role', 'dialog');
+    lightbox.setAttribute('aria-modal', 'true');
+    lightbox.setAttribute('aria-label', 'Image');
+    const img = document.createElement('img');
+    img.alt = '';
+    img.referrerPolicy = 'no-referrer';
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'chat-lightbox-close';
+    close.textContent = '×';
+    close.setAttribute('aria-label', 'Close image');
+    lightbox.append(img, close);
+    // Anywhere but the image itself closes it
+    lightbox.addEventListener('click', (e) => {
+        if (e.target !== img) closeLightbox();
+    });
+    lightbox.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.stopPropagation();
+            closeLightbox();
+        }
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            close.focus();
+        }
+    });
+    document.body.append(lightbox);
+    return lightbox;
+}
+
+export function openLightbox(src, alt = '') {
+    const box = getLightbox();
+    const img = box.querySelector('img');
+    img.src = src;
+    img.alt = alt;
+    lastFocus = document.activeElement;
+    box.hidden = false;
+    box.querySelector('.chat-lightbox-close').focus();
+}
+
+// Thumbnail for a message's attachment, or null if it has none (or an
+// unusable URL, see attachmentSrc()). onResize is called once the image
+// has loaded.
+export function createAttachmentElement(msg, { urlPrefix = null, onResize = () => {} } = {}) {
+    const src = attachmentSrc(msg.attachment_url, urlPrefix);
+    if (!src) return null;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'message-attachment';
+    button.setAttribute('aria-label', `Image from ${msg.name || 'anon'}, open full size`);
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = '';
+    img.loading = 'lazy';
+    img.decoding = 'async';
+    img.referrerPolicy = 'no-referrer';
+    // Reserve the space up front so the list doesn't jump as images load
+    const width = Number(msg.attachment_width);
+    const height = Number(msg.attachment_height);
+    if (width > 0 && height > 0) {
+        const scale = Math.min(1, THUMB_MAX / Math.max(width, height));
+        img.width = Math.round(width * scale);
+        img.height = Math.round(height * scale);
+    }
+    img.addEventListener('load', onResize);
+    img.addEventListener('error', () => {
+        button.replaceWith(Object.assign(document.createElement('span'), {
+            className: 'message-attachment-missing',
+            textContent: '🖼 Image unavailable'
+        }));
+    });
+    button.append(img);
+    button.addEventListener('click', () => openLightbox(src, `Image from ${msg.name || 'anon'}`));
+    return button;
+}
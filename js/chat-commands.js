@@ -0,0 +1,220 @@
+// chat-commands.js - Slash commands for the xChat input
+//
+// Other modules add commands with registerCommand():
+//
+//   registerCommand({
+//       name: 'shrug',
+//       usage: '/shrug [text]',
+//       description: 'Append ¯\\_(ツ)_/¯',
+//       run: ({ args, send }) => send(`${args} ¯\\_(ツ)_/¯`.trim())
+//   });
+//
+// run() gets a context from chat.js:
+//   args                 Everything after the command name, trimmed
+//   settings             The current chat settings (getChatSettings())
+//   updateSettings(s)    Save settings, same fields as setChatSettings()
+//   changeName(name)     Switch names; rejects with a message for the
+//                        visitor if the name is claimed by someone else
+//   send(text, { kind }) Post a message; kind 'action' renders like /me
+//   print(text)          Show a line only this visitor sees
+//   clear()              Empty the message list on this screen
+// and may return a promise.
+
+import { effects, getEffect } from './chat-effects.js';
+
+const commands = new Map();
+
+export function registerCommand({ name, usage = `/${name}`, description = '', run, aliases = [] }) {
+    const command = { name, usage, description, run, aliases };
+    [name, ...aliases].forEach(key => commands.set(key.toLowerCase(), command));
+    return command;
+}
+
+// Unique commands (aliases folded), sorted by name
+export function getCommands() {
+    return [...new Set(commands.values())].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Commands whose name starts with what was typed after the slash
+export function matchCommands(prefix) {
+    const lower = prefix.toLowerCase();
+    return getCommands().filter(command => command.name.startsWith(lower));
+}
+
+// "/nick bob" -> { name: 'nick', args: 'bob' }. "//text" escapes a literal
+// slash and isn't a command.
+export function parseCommand(input) {
+    const match = /^\/(\w+)(?:\s+([\s\S]*))?$/.exec(input.trim());
+    if (!match) return null;
+    return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+}
+
+// Run a parsed command. Resolves to false when there is no such command.
+export async function runCommand({ name, args }, context) {
+    const command = commands.get(name);
+    if (!command) return false;
+    await command.run({ ...context, args });
+    return true;
+}
+
+// Built-in commands
+
+registerCommand({
+    name: 'help',
+    usage: '/help',
+    description: 'List the available commands',
+    run: ({ print }) => {
+        print(['Commands:', ...getCommands().map(command => `${command.usage} - ${command.description}`)].join('\n'));
+    }
+});
+
+registerCommand({
+    name: 'nick',
+    usage: '/nick <name>',
+    description: 'Change your name',
+    aliases: ['name'],
+    run: async ({ args, changeName, print }) => {
+        const name = args.slice(0, 32);
+        if (!name) {
+            print('Usage: /nick <name>');
+            return;
+        }
+        try {
+            await changeName(name);
+        } catch (err) {
+            print(err.message);
+            return;
+        }
+        print(`You are now ${name}.`);
+    }
+});
+
+registerCommand({
+    name: 'color',
+    usage: '/color <#rrggbb>',
+    description: 'Change your message color',
+    aliases: ['colour'],
+    run: ({ args, updateSettings, print }) => {
+        let color = args.toLowerCase();
+        // #abc -> #aabbcc, the color input only takes the long form
+        if (/^#?[0-9a-f]{3}$/.test(color)) color = color.replace(/^#?(.)(.)(.)$/, '#$1$1$2$2$3$3');
+        if (/^[0-9a-f]{6}$/.test(color)) color = `#${color}`;
+        if (!/^#[0-9a-f]{6}$/.test(color)) {
+            print('Usage: /color <#rrggbb>, for example /color #ff88cc');
+            return;
+        }
+        updateSettings({ color });
+        print(`Your color is now ${color}.`);
+    }
+});
+
+registerCommand({
+    name: 'effect',
+    usage: '/effect [name | off]',
+    description: 'Pick a text effect for your messages',
+    run: ({ args, settings, updateSettings, print }) => {
+        const arg = args.toLowerCase();
+        const names = effects.map(effect => effect.id).join(', ');
+        if (!arg) {
+            const current = getEffect(settings.effect);
+            print(`Text effect: ${current ? current.name : 'none'}. Available: ${names}, off.`);
+            return;
+        }
+        if (arg === 'off' || arg === 'none') {
+            updateSettings({ effect: null });
+            print('Text effect off.');
+            return;
+        }
+        const effect = getEffect(arg);
+        if (!effect) {
+            print(`Unknown effect "${args}". Available: ${names}, off.`);
+            return;
+        }
+        updateSettings({ effect: effect.id });
+        print(`Text effect: ${effect.name}.`);
+    }
+});
+
+registerCommand({
+    name: 'wingdings',
+    usage: '/wingdings [on|off]',
+    description: 'Write in Wingdings',
+    run: ({ args, settings, updateSettings, print }) => {
+        const arg = args.toLowerCase();
+        if (arg && arg !== 'on' && arg !== 'off') {
+            print('Usage: /wingdings [on|off]');
+            return;
+        }
+        const wingdings = arg ? arg === 'on' : settings.effect !== 'wingdings';
+        updateSettings({ effect: wingdings ? 'wingdings' : null });
+        print(`Wingdings ${wingdings ? 'on' : 'off'}.`);
+    }
+});
+
+registerCommand({
+    name: 'me',
+    usage: '/me <action>',
+    description: 'Describe what you are doing',
+    run: ({ args, send, print }) => {
+        if (!args) {
+            print('Usage: /me <action>');
+            return;
+        }
+        return send(args, { kind: 'action' });
+    }
+});
+
+registerCommand({
+    name: 'np',
+    usage: '/np',
+    description: 'Share what is playing on the xPod',
+    run: ({ send, print }) => {
+        const player = window.iPodPlayer;
+        const track = player && player.playlist && player.playlist[player.currentTrackIndex];
+        if (!player || !player.isPlaying || !track) {
+            print('Nothing is playing on the xPod.');
+            return;
+        }
+        return send(`is listening to ${track.title || 'Unknown Title'} by ${track.artist || 'Unknown Artist'} 🎵`, { kind: 'action' });
+    }
+});
+
+registerCommand({
+    name: 'roll',
+    usage: '/roll [NdM | max]',
+    description: 'Roll dice, e.g. /roll 2d6 or /roll 100',
+    aliases: ['dice'],
+    run: ({ args, send, print }) => {
+        const dice = /^(\d{1,2})?d(\d{1,4})$/i.exec(args);
+        const max = /^\d{1,6}$/.test(args) ? Number(args) : 0;
+        let count = 1;
+        let sides = 6;
+        if (dice) {
+            count = Number(dice[1] || 1);
+            sides = Number(dice[2]);
+        } else if (max) {
+            sides = max;
+        } else if (args) {
+            print('Usage: /roll [NdM | max], for example /roll 2d6');
+            return;
+        }
+        if (count < 1 || count > 20 || sides < 2) {
+            print('Roll between 1 and 20 dice with at least 2 sides.');
+            return;
+        }
+        const rolls = Array.from({ length: count }, () => 1 + Math.floor(Math.random() * sides));
+        const total = rolls.reduce((sum, roll) => sum + roll, 0);
+        const detail = count > 1 ? `${rolls.join(' + ')} = ${total}` : String(total);
+        return send(`rolled ${count}d${sides}: ${detail} 🎲`, { kind: 'action' });
+    }
+});
+
+registerCommand({
+    name: 'clear',
+    usage: '/clear',
+    description: 'Clear the chat on your screen (nothing is deleted)',
+    run: ({ clear, print }) => {
+        clear();
+        print('Chat cleared on your screen.');
+    }
+});
@@ -0,0 +1,107 @@
+// chat-effects.js - Text effects for xChat messages
+//
+// Messages store the text as typed plus an effect id; the effect is only
+// applied when a message is displayed, so anyone can flip back to the
+// original. chat.js runs transform() over the plain stretches of a message
+// (links, code and @mentions are left alone) and adds the effect's
+// className to the text. Transforms are deterministic: the same text always
+// looks the same, however often it is rendered.
+//
+// Rows from before effects existed only have wingdings: true, with the
+// text already converted; effectOf() treats them as the wingdings effect.
+
+const WINGDINGS_MAP = {
+    'A':'✈', 'B':'✌', 'C':'☯', 'D':'✡', 'E':'☮', 'F':'☢', 'G':'☣', 'H':'☤', 'I':'☥', 'J':'☦', 'K':'☧', 'L':'☨', 'M':'☩', 'N':'☪', 'O':'☫', 'P':'☬', 'Q':'☭', 'R':'☮', 'S':'☯', 'T':'☸', 'U':'☹', 'V':'☺', 'W':'☻', 'X':'☼', 'Y':'☽', 'Z':'☾',
+    'a':'✈', 'b':'✌', 'c':'☯', 'd':'✡', 'e':'☮', 'f':'☢', 'g':'☣', 'h':'☤', 'i':'☥', 'j':'☦', 'k':'☧', 'l':'☨', 'm':'☩', 'n':'☪', 'o':'☫', 'p':'☬', 'q':'☭', 'r':'☮', 's':'☯', 't':'☸', 'u':'☹', 'v':'☺', 'w':'☻', 'x':'☼', 'y':'☽', 'z':'☾',
+    '.':'•', ',':'‚', '!':'‼', '?':'¿'
+};
+
+const LEET_MAP = { a: '4', e: '3', i: '1', o: '0', s: '5', t: '7', b: '8', g: '9' };
+
+// Combining marks that stack above and below
+const ZALGO_UP = [0x30d, 0x30e, 0x304, 0x305, 0x33f, 0x311, 0x306, 0x310, 0x352, 0x357, 0x351, 0x307, 0x308, 0x30a, 0x342, 0x343, 0x344, 0x34a, 0x34b, 0x34c]
+    .map(code => String.fromCharCode(code));
+const ZALGO_DOWN = [0x316, 0x317, 0x318, 0x319, 0x31c, 0x31d, 0x31e, 0x31f, 0x320, 0x324, 0x325, 0x326, 0x329, 0x32a, 0x32b, 0x32c, 0x32d, 0x32e, 0x32f, 0x330]
+    .map(code => String.fromCharCode(code));
+
+const UWU_FACES = ['uwu', 'owo', '>w<', '^w^', ':3', 'nyaa~'];
+
+// Small seeded PRNG (mulberry32) keyed on the text, for stable "randomness"
+function seededRandom(text) {
+    let seed = 2166136261;
+    for (let i = 0; i < text.length; i++) seed = Math.imul(seed ^ text.charCodeAt(i), 16777619);
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function zalgo(text) {
+    const random = seededRandom(text);
+    const pick = marks => marks[Math.floor(random() * marks.length)];
+    return Array.from(text, ch => {
+        if (/\s/.test(ch)) return ch;
+        let out = ch;
+        const up = 1 + Math.floor(random() * 3);
+        const down = 1 + Math.floor(random() * 3);
+        for (let i = 0; i < up; i++) out += pick(ZALGO_UP);
+        for (let i = 0; i < down; i++) out += pick(ZALGO_DOWN);
+        return out;
+    }).join('');
+}
+
+function uwu(text) {
+    const result = text
+        .replace(/[rl]/g, 'w')
+        .replace(/[RL]/g, 'W')
+        .replace(/n([aeiou])/g, 'ny$1')
+        .replace(/N([aeiou])/g, 'Ny$1')
+        .replace(/N([AEIOU])/g, 'NY$1')
+        .replace(/ove/g, 'uv');
+    // A face at the end of each stretch that ends a sentence
+    if (!/[.!?]\s*$/.test(text)) return result;
+    const face = UWU_FACES[Math.floor(seededRandom(text)() * UWU_FACES.length)];
+    return result.replace(/([.!?]+)(\s*)$/, ` ${face}$1$2`);
+}
+
+// Printable ASCII to its full-width form
+function vaporwave(text) {
+    return text.replace(/[!-~]/g, ch => String.fromCharCode(ch.charCodeAt(0) + 0xfee0)).replace(/ /g, '　');
+}
+
+function leet(text) {
+    return text.replace(/[aeiostbg]/gi, ch => LEET_MAP[ch.toLowerCase()]);
+}
+
+function wingdings(text) {
+    return text.replace(/[A-Za-z.,!?]/g, ch => WINGDINGS_MAP[ch]);
+}
+
+// id -> { name, transform(text), className }. className styles the whole
+// message text (mirror is done in CSS so text stays selectable and links
+// keep working).
+export const effects = [
+    { id: 'wingdings', name: 'Wingdings', transform: wingdings, className: 'effect-wingdings' },
+    { id: 'zalgo', name: 'Zalgo', transform: zalgo, className: 'effect-zalgo' },
+    { id: 'uwu', name: 'UwU', transform: uwu },
+    { id: 'vaporwave', name: 'Ｖａｐｏｒｗａｖｅ', transform: vaporwave },
+    { id: 'leet', name: 'L33t', transform: leet },
+    { id: 'mirror', name: 'Mirrored', transform: text => text, className: 'effect-mirror' }
+];
+
+export function getEffect(id) {
+    return effects.find(effect => effect.id === id) || null;
+}
+
+// The effect a message row was sent with, or null
+export function effectOf(msg) {
+    if (msg.effect) return getEffect(msg.effect);
+    return msg.wingdings ? getEffect('wingdings') : null;
+}
+
+// Text of a row from before effects, stored already converted
+export function isLegacyEffect(msg) {
+    return Boolean(msg.wingdings && !msg.effect);
+}
@@ -0,0 +1,254 @@
+// chat-format.js - Rich text for xChat messages
+//
+// Supports *italics*, **bold**, `code`, ||spoilers|| and bare http(s) URLs.
+// Everything is built with DOM nodes and textContent; message text is never
+// parsed as HTML. Image, YouTube and Spotify links also get an inline
+// preview under the message.
+
+// Only these schemes ever become links
+const ALLOWED_SCHEMES = ['http:', 'https:'];
+const MAX_PREVIEWS = 2;
+// Nested formatting deeper than this is left as plain text
+const MAX_DEPTH = 4;
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/i;
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|gif|webp|avif)$/i;
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+const SPOTIFY_PATH = /^\/(?:intl-[a-z-]+\/)?(track|album|playlist|episode|show|artist)\/([A-Za-z0-9]{22})\/?$/;
+
+// Parse a URL and keep it only if its scheme is allowed
+export function safeUrl(raw) {
+    try {
+        const url = new URL(raw);
+        return ALLOWED_SCHEMES.includes(url.protocol) ? url : null;
+    } catch {
+        return null;
+    }
+}
+
+// "see https://x.com/a)." -> the link stops before ")." unless the URL
+// itself opened a bracket
+function trimUrl(raw) {
+    let url = raw.replace(/[.,!?;:*_|]+$/, '');
+    while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+        url = url.slice(0, -1).replace(/[.,!?;:]+$/, '');
+    }
+    return url;
+}
+
+// Each rule finds its first occurrence in text, returning a RegExp-style
+// match: index, [0] the whole occurrence and [1] what goes inside
+const rules = [
+    {
+        type: 'code',
+        find: text => /`([^`\n]+)`/.exec(text)
+    },
+    {
+        type: 'spoiler',
+        find: text => /\|\|(?=\S)([\s\S]+?)\|\|/.exec(text)
+    },
+    {
+        type: 'bold',
+        // (?!\*) so "**a *b***" closes on the last two stars
+        find: text => /\*\*(?=\S)([\s\S]+?)(?<=\S)\*\*(?!\*)/.exec(text)
+    },
+    {
+        type: 'italic',
+        find: text => /(?<!\*)\*(?=[^\s*])([\s\S]+?)(?<=[^\s*])\*(?!\*)/.exec(text)
+    },
+    {
+        type: 'link',
+        find: text => {
+            const match = URL_PATTERN.exec(text);
+            if (!match) return null;
+            const url = trimUrl(match[0]);
+            return { index: match.index, 0: url, 1: url };
+        }
+    }
+];
+
+function firstMatch(text) {
+    let best = null;
+    rules.forEach(rule => {
+        const match = rule.find(text);
+        // Earlier in the text wins; on a tie the earlier rule wins
+        if (match && (!best || match.index < best.match.index)) best = { rule, match };
+    });
+    return best;
+}
+
+function createLink(url) {
+    const link = document.createElement('a');
+    link.href = url.href;
+    link.textContent = url.href;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer nofollow';
+    link.className = 'chat-link';
+    return link;
+}
+
+function createSpoiler() {
+    const spoiler = document.createElement('span');
+    spoiler.className = 'spoiler';
+    spoiler.tabIndex = 0;
+    spoiler.setAttribute('role', 'button');
+    spoiler.setAttribute('aria-expanded', 'false');
+    spoiler.title = 'Spoiler - click to reveal';
+    const reveal = (e) => {
+        if (spoiler.classList.contains('spoiler-revealed')) return;
+        // Don't follow a link or open a preview in the same click
+        e.preventDefault();
+        e.stopPropagation();
+        spoiler.classList.add('spoiler-revealed');
+        spoiler.setAttribute('aria-expanded', 'true');
+        spoiler.removeAttribute('title');
+    };
+    spoiler.addEventListener('click', reveal);
+    spoiler.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') reveal(e);
+    });
+    return spoiler;
+}
+
+function appendInline(container, text, options, depth, inSpoiler) {
+    let rest = text;
+    while (rest) {
+        const found = depth < MAX_DEPTH ? firstMatch(rest) : null;
+        if (!found) {
+            options.renderText(container, rest);
+            return;
+        }
+        const { rule, match } = found;
+        if (match.index > 0) options.renderText(container, rest.slice(0, match.index));
+        rest = rest.slice(match.index + match[0].length);
+
+        if (rule.type === 'code') {
+            const code = document.createElement('code');
+            code.textContent = match[1];
+            container.append(code);
+        } else if (rule.type === 'link') {
+            const url = safeUrl(match[1]);
+            if (url) {
+                container.append(createLink(url));
+                // Hidden links don't get a preview that would give them away
+                if (!inSpoiler) options.links.push(url);
+            } else {
+                options.renderText(container, match[1]);
+            }
+        } else {
+            const element = rule.type === 'spoiler'
+                ? createSpoiler()
+                : document.createElement(rule.type === 'bold' ? 'strong' : 'em');
+            appendInline(element, match[1], options, depth + 1, inSpoiler || rule.type === 'spoiler');
+            container.append(element);
+        }
+    }
+}
+
+// Append formatted text to container. renderText(container, text) renders
+// the plain stretches (chat.js uses it for @mention chips). Returns the
+// URLs that were linked, for createLinkPreviews().
+export function appendRichText(container, text, { renderText = (el, plain) => el.append(plain) } = {}) {
+    const options = { renderText, links: [] };
+    appendInline(container, text || '', options, 0, false);
+    return options.links;
+}
+
+// Text without the formatting markers, e.g. for quotes and notifications
+export function stripFormatting(text) {
+    return (text || '')
+        .replace(/\|\|([\s\S]+?)\|\|/g, '▒▒▒')
+        .replace(/\*\*([\s\S]+?)\*\*/g, '$1')
+        .replace(/(?<!\*)\*(?=[^\s*])([\s\S]+?)(?<=[^\s*])\*(?!\*)/g, '$1')
+        .replace(/`([^`\n]+)`/g, '$1');
+}
+
+function youtubeId(url) {
+    const host = url.hostname.replace(/^(www|m|music)\./, '');
+    let id = null;
+    if (host === 'youtu.be') id = url.pathname.slice(1);
+    else if (host === 'youtube.com' && url.pathname === '/watch') id = url.searchParams.get('v');
+    else if (host === 'youtube.com') id = (/^\/(?:shorts|embed|live)\/([^/]+)/.exec(url.pathname) || [])[1];
+    return id && YOUTUBE_ID.test(id) ? id : null;
+}
+
+function imagePreview(url, onResize) {
+    const link = createLink(url);
+    link.className = 'link-preview link-preview-image';
+    link.textContent = '';
+    const img = document.createElement('img');
+    img.src = url.href;
+    img.alt = 'Linked image';
+    img.loading = 'lazy';
+    img.decoding = 'async';
+    img.referrerPolicy = 'no-referrer';
+    img.addEventListener('load', onResize);
+    // Not an image after all, or gone: drop the preview and keep the link
+    img.addEventListener('error', () => link.remove());
+    link.append(img);
+    return link;
+}
+
+// Only the thumbnail loads up front; the player iframe waits for a click
+function youtubePreview(id, onResize) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'link-preview link-preview-video';
+    button.setAttribute('aria-label', 'Play YouTube video');
+    const thumb = document.createElement('img');
+    thumb.src = `https://i.ytimg.com/vi/${id}/hqdefault.jpg`;
+    thumb.alt = '';
+    thumb.loading = 'lazy';
+    thumb.referrerPolicy = 'no-referrer';
+    thumb.addEventListener('load', onResize);
+    const play = document.createElement('span');
+    play.className = 'link-preview-play';
+    play.textContent = '▶';
+    button.append(thumb, play);
+    button.addEventListener('click', () => {
+        const iframe = document.createElement('iframe');
+        iframe.className = 'link-preview link-preview-video';
+        iframe.src = `https://www.youtube-nocookie.com/embed/${id}?autoplay=1`;
+        iframe.title = 'YouTube video';
+        iframe.allow = 'autoplay; encrypted-media; picture-in-picture';
+        iframe.allowFullscreen = true;
+        iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+        button.replaceWith(iframe);
+        onResize();
+    });
+    return button;
+}
+
+function spotifyPreview(type, id) {
+    const iframe = document.createElement('iframe');
+    iframe.className = `link-preview link-preview-spotify${type === 'track' || type === 'episode' ? ' link-preview-spotify-compact' : ''}`;
+    iframe.src = `https://open.spotify.com/embed/${type}/${id}`;
+    iframe.title = `Spotify ${type}`;
+    iframe.loading = 'lazy';
+    iframe.allow = 'encrypted-media';
+    return iframe;
+}
+
+// Inline previews for the first few previewable links, or null if none.
+// onResize is called when a preview changes size (images loading etc.).
+export function createLinkPreviews(urls, { onResize = () => {} } = {}) {
+    const previews = [];
+    const seen = new Set();
+    urls.forEach(url => {
+        if (previews.length >= MAX_PREVIEWS || seen.has(url.href)) return;
+        seen.add(url.href);
+        const host = url.hostname.replace(/^www\./, '');
+        const video = youtubeId(url);
+        const spotify = host === 'open.spotify.com' && SPOTIFY_PATH.exec(url.pathname);
+        // Previews load third-party content, so only over https
+        if (url.protocol !== 'https:') return;
+        if (video) previews.push(youtubePreview(video, onResize));
+        else if (spotify) previews.push(spotifyPreview(spotify[1], spotify[2]));
+        else if (IMAGE_EXTENSIONS.test(url.pathname)) previews.push(imagePreview(url, onResize));
+    });
+    if (!previews.length) return null;
+    const container = document.createElement('div');
+    container.className = 'link-previews';
+    container.append(...previews);
+    return container;
+}
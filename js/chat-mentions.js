@@ -0,0 +1,88 @@
+// chat-mentions.js - @name mentions in xChat messages
+//
+// Names may contain spaces, which a mention can't, so every name has a
+// handle with whitespace turned into underscores ("lil bub" -> @lil_bub).
+// Handles are compared case-insensitively.
+
+// @ at the start or after something that can't be part of a word or e-mail
+const MENTION_PATTERN = /(^|[^\p{L}\p{N}_@.])@([\p{L}\p{N}_.-]{1,32})/gu;
+
+export function mentionHandle(name) {
+    return (name || 'anon').trim().replace(/\s+/g, '_');
+}
+
+function sameHandle(a, b) {
+    return a.toLocaleLowerCase() === b.toLocaleLowerCase();
+}
+
+// { start, handle } for each mention, trailing punctuation ("@bob.")
+// trimmed. start is the index of the @. Nothing left ("@...") is no mention.
+function mentionMatches(text) {
+    return [...(text || '').matchAll(MENTION_PATTERN)]
+        .map(match => ({ start: match.index + match[1].length, handle: match[2].replace(/[.-]+$/, '') }))
+        .filter(mention => mention.handle !== '');
+}
+
+// Handles mentioned in a message
+export function findMentions(text) {
+    return mentionMatches(text).map(mention => mention.handle);
+}
+
+export function isMentioned(text, name) {
+    const handle = mentionHandle(name);
+    return findMentions(text).some(mention => sameHandle(mention, handle));
+}
+
+// Append text to container with mentions as chips. styleFor(handle) returns
+// { backgroundColor, color } for the chip; transform(text), if given, is
+// applied to the text around the chips (text effects).
+export function appendTextWithMentions(container, text, styleFor, transform = plain => plain) {
+    let last = 0;
+    for (const { start, handle } of mentionMatches(text)) {
+        container.append(transform(text.slice(last, start)));
+        const chip = document.createElement('span');
+        chip.className = 'mention-chip';
+        chip.textContent = `@${handle}`;
+        Object.assign(chip.style, styleFor(handle));
+        container.append(chip);
+        last = start + handle.length + 1;
+    }
+    container.append(transform((text || '').slice(last)));
+}
+
+// Recently active names for autocomplete, most recent first
+export class RecentNames {
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.names = new Map(); // lower-case handle -> { name, handle, color, at }
+    }
+
+    note(name, color, at) {
+        const handle = mentionHandle(name);
+        const key = handle.toLocaleLowerCase();
+        const existing = this.names.get(key);
+        if (existing && existing.at > at) return;
+        this.names.delete(key);
+        this.names.set(key, { name, handle, color, at });
+        // Forget the least recently active once over the limit
+        if (this.names.size > this.limit) {
+            const oldest = [...this.names.values()].sort((a, b) => (a.at < b.at ? -1 : 1))[0];
+            this.names.delete(oldest.handle.toLocaleLowerCase());
+        }
+    }
+
+    get(handle) {
+        return this.names.get(handle.toLocaleLowerCase()) || null;
+    }
+
+    // Names whose handle starts with prefix, excluding `except`
+    match(prefix, except, max = 6) {
+        const lower = prefix.toLocaleLowerCase();
+        const skip = except ? mentionHandle(except).toLocaleLowerCase() : null;
+        return [...this.names.values()]
+            .filter(entry => entry.handle.toLocaleLowerCase().startsWith(lower))
+            .filter(entry => entry.handle.toLocaleLowerCase() !== skip)
+            .sort((a, b) => (a.at < b.at ? 1 : -1))
+            .slice(0, max);
+    }
+}
@@ -0,0 +1,42 @@
+// chat-names.js - Claiming an xChat name with a passphrase
+//
+// The passphrase never leaves the browser. deriveNameKey() stretches it
+// with PBKDF2, salted with the normalized name, into the key the backend
+// checks (transport.claimName(), see chat-transport.js). chat.js keeps the
+// key in localStorage as chatNameKey and sends it with every message.
+
+const ITERATIONS = 210000;
+const KEY_BITS = 256;
+export const MIN_PASSPHRASE = 8;
+
+// Zero-width spaces, direction marks and other invisible characters
+const FORMAT_CHARS = /\p{Cf}/gu;
+
+// Same normalization as chat_name_key() in the database: compatibility
+// forms (NFKC), invisible characters, case, whitespace at either end and
+// space/underscore runs don't make a different name
+export function normalizeName(name) {
+    return (name || '').normalize('NFKC').replace(FORMAT_CHARS, '').trim().toLowerCase().replace(/[\s_]+/g, ' ');
+}
+
+// Names nobody can claim
+export function isClaimable(name) {
+    const normalized = normalizeName(name);
+    return normalized !== '' && normalized !== 'anon' && [...normalized].length <= 32;
+}
+
+// Resolves to the hex key for name + passphrase
+export async function deriveNameKey(name, passphrase) {
+    if (!globalThis.crypto || !crypto.subtle) {
+        throw new Error('Claiming a name needs a secure (https) connection.');
+    }
+    const encoder = new TextEncoder();
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits({
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        salt: encoder.encode(`xchat-name:${normalizeName(name)}`),
+        iterations: ITERATIONS
+    }, material, KEY_BITS);
+    return [...new Uint8Array(bits)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,178 @@
+// chat-notify.js - Getting the visitor's attention for new xChat messages
+//
+// While the chat window is hidden or minimized, or the tab is in the
+// background, every new message bumps an unread badge on the taskbar's
+// #chat-btn. In a background tab the document title blinks as well, and
+// depending on the chat settings a short sound plays and a browser
+// Notification is shown. Messages that @mention the visitor also flash
+// the taskbar button. Everything is cleared once the chat window gets
+// focus.
+
+const BLINK_INTERVAL = 1000;
+const NOTIFICATION_ICON = 'images/assets/pxldrm.png';
+
+let unread = 0;
+let lastSender = '';
+let mentioned = false;
+
+// Title blinking. spa.js sets document.title on every navigation, so the
+// "base" title is whatever is there unless it's the text we wrote ourselves.
+let blinkTimer = null;
+let blinkOn = false;
+let baseTitle = '';
+let writtenTitle = null;
+
+function chatWindow() {
+    return document.getElementById('chat-window');
+}
+
+// Open, not minimized (taskbar.js hides .chat-screen when minimized)
+function isChatVisible() {
+    const win = chatWindow();
+    if (!win || win.style.display === 'none') return false;
+    const screen = win.querySelector('.chat-screen');
+    return !screen || screen.style.display !== 'none';
+}
+
+function needsAttention() {
+    return document.hidden || !isChatVisible();
+}
+
+function renderBadge() {
+    const badge = document.getElementById('chat-unread');
+    if (!badge) return;
+    badge.hidden = unread === 0;
+    badge.textContent = unread > 99 ? '99+' : String(unread);
+    const button = document.getElementById('chat-btn');
+    if (!button) return;
+    button.title = unread ? `xChat (${unread} unread)` : 'xChat';
+    button.classList.toggle('taskbar-item-flash', mentioned);
+}
+
+function writeTitle(title) {
+    writtenTitle = title;
+    document.title = title;
+}
+
+function blink() {
+    if (document.title !== writtenTitle) baseTitle = document.title;
+    blinkOn = !blinkOn;
+    const alert = mentioned ? `@ ${lastSender} mentioned you` : `💬 ${lastSender} says…`;
+    writeTitle(blinkOn ? alert : `(${unread}) ${baseTitle}`);
+}
+
+function startBlinking() {
+    if (blinkTimer) return;
+    baseTitle = document.title;
+    blinkOn = false;
+    blink();
+    blinkTimer = setInterval(blink, BLINK_INTERVAL);
+}
+
+function stopBlinking() {
+    if (!blinkTimer) return;
+    clearInterval(blinkTimer);
+    blinkTimer = null;
+    if (document.title === writtenTitle) document.title = baseTitle;
+    writtenTitle = null;
+}
+
+// Two quick sine blips generated on the fly, so there is no audio file to load
+let audioContext = null;
+
+function playChime() {
+    try {
+        audioContext = audioContext || new AudioContext();
+        if (audioContext.state === 'suspended') audioContext.resume();
+        const now = audioContext.currentTime;
+        [880, 1320].forEach((frequency, i) => {
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            const start = now + i * 0.09;
+            oscillator.type = 'sine';
+            oscillator.frequency.value = frequency;
+            gain.gain.setValueAtTime(0.0001, start);
+            gain.gain.exponentialRampToValueAtTime(0.15, start + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.16);
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.17);
+        });
+    } catch (err) {
+        // Autoplay rules or no Web Audio: a silent notification is fine
+        console.warn('Could not play chat sound:', err);
+    }
+}
+
+function showDesktopNotification(name, text) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    const notification = new Notification(`${name} in xChat`, {
+        body: text,
+        icon: NOTIFICATION_ICON,
+        // Replace the previous one instead of stacking a pile of them
+        tag: 'xchat',
+        renotify: true
+    });
+    notification.addEventListener('click', () => {
+        window.focus();
+        if (!isChatVisible()) {
+            const button = document.getElementById('chat-btn');
+            if (button) button.click();
+        }
+        notification.close();
+    });
+}
+
+// Ask for permission to show browser notifications. Resolves to whether
+// notifications may be shown.
+export async function requestDesktopPermission() {
+    if (!('Notification' in window)) return false;
+    if (Notification.permission === 'default') {
+        try {
+            await Notification.requestPermission();
+        } catch (err) {
+            console.warn('Notification permission request failed:', err);
+        }
+    }
+    return Notification.permission === 'granted';
+}
+
+// A new message arrived. sound/desktop come from the chat settings,
+// mention is whether the message @mentions the visitor.
+export function notifyTab(name, { text = '', sound = false, desktop = false, mention = false } = {}) {
+    if (!needsAttention()) return;
+    unread++;
+    lastSender = name || 'anon';
+    mentioned = mentioned || mention;
+    renderBadge();
+    if (document.hidden) {
+        startBlinking();
+        if (desktop) showDesktopNotification(lastSender, text);
+    }
+    if (sound) playChime();
+}
+
+export function clearNotifications() {
+    unread = 0;
+    mentioned = false;
+    renderBadge();
+    stopBlinking();
+}
+
+// Older code calls window.notifyTab(name)
+window.notifyTab = notifyTab;
+
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden) stopBlinking();
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+    const win = chatWindow();
+    if (!win) return;
+    // Opening the chat from the taskbar focuses its input, so this covers it
+    win.addEventListener('focusin', clearNotifications);
+    win.addEventListener('pointerdown', clearNotifications);
+    window.addEventListener('focus', () => {
+        if (isChatVisible() && win.contains(document.activeElement)) clearNotifications();
+    });
+});
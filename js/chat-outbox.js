@@ -0,0 +1,169 @@
+// chat-outbox.js - Messages on their way to the chat backend
+//
+// chat.js hands every outgoing message to the outbox rather than straight
+// to the transport. Entries are kept in localStorage until the backend has
+// them, so a message written offline (or while the backend is down)
+// survives a reload and goes out once the connection is back. Failed sends
+// are retried with exponential backoff; after MAX_AUTO_RETRIES an entry
+// waits for the visitor to retry or discard it. Images are uploaded before
+// their message is queued (entries only hold the URL), so chat.js doesn't
+// send them while offline.
+//
+// An entry looks like
+//   { id, queued_at, message, status, attempts, error }
+// where message is what goes to transport.send(), status is 'sending',
+// 'waiting' (will retry) or 'failed'. Errors marked retryable: false fail
+// the entry straight away and keep their message in error.
+//
+// The entry id goes out with the message as client_message_id, and the
+// backend stores a given id only once. A send that reached the backend but
+// whose answer was lost (a timeout, the network dropping) can then be
+// retried, by this tab or another one, without posting the message twice.
+
+const STORAGE_KEY = 'chatOutbox';
+const RETRY_BASE = 2000;
+const RETRY_MAX = 60 * 1000;
+const MAX_AUTO_RETRIES = 6;
+// Several tabs share localStorage. Each one claims the entries it sends
+// and keeps the claim fresh; entries whose tab went away are picked up by
+// the next tab that loads.
+const CLAIM_TIMEOUT = 90 * 1000;
+
+function randomId() {
+    if (globalThis.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Survives reloads but not closing the tab
+function getTabId() {
+    let id = sessionStorage.getItem('chatTabId');
+    if (!id) {
+        id = randomId();
+        sessionStorage.setItem('chatTabId', id);
+    }
+    return id;
+}
+
+function readStored() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch {
+        return [];
+    }
+}
+
+// send(message) resolves to the stored row (transport.send). onChange(entry,
+// row) is called after every change to an entry; row is set once it has
+// been sent. Call flush() once the chat is ready to send restored entries.
+export function createOutbox({ send, onChange }) {
+    const tabId = getTabId();
+    const timers = new Map();
+    const now = Date.now();
+    let entries = readStored()
+        .filter(entry => entry.owner === tabId || now - entry.claimedAt > CLAIM_TIMEOUT)
+        // Whatever was in flight when the page went away didn't finish
+        .map(entry => ({ ...entry, status: entry.status === 'failed' ? 'failed' : 'waiting' }));
+
+    function save() {
+        const claimedAt = Date.now();
+        const ownIds = new Set(entries.map(entry => entry.id));
+        const others = readStored().filter(entry => entry.owner !== tabId && !ownIds.has(entry.id));
+        entries.forEach(entry => {
+            entry.owner = tabId;
+            entry.claimedAt = claimedAt;
+        });
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify([...others, ...entries]));
+        } catch (err) {
+            console.warn('Could not save the chat outbox:', err);
+        }
+    }
+
+    function schedule(entry) {
+        clearTimeout(timers.get(entry.id));
+        const delay = Math.min(RETRY_MAX, RETRY_BASE * 2 ** (entry.attempts - 1));
+        timers.set(entry.id, setTimeout(() => attempt(entry), delay));
+    }
+
+    async function attempt(entry) {
+        clearTimeout(timers.get(entry.id));
+        timers.delete(entry.id);
+        if (!entries.includes(entry) || entry.status === 'sending') return;
+        // Offline attempts don't count; the 'online' event flushes
+        if (!navigator.onLine) return;
+        entry.status = 'sending';
+        entry.attempts++;
+        onChange(entry);
+        let row;
+        try {
+            row = await send({ ...entry.message, client_message_id: entry.id });
+        } catch (err) {
+            console.warn('Chat message not sent:', err);
+            // Discarded while it was being sent
+            if (!entries.includes(entry)) return;
+            const permanent = err.retryable === false;
+            entry.error = permanent ? err.message : null;
+            entry.status = permanent || entry.attempts >= MAX_AUTO_RETRIES ? 'failed' : 'waiting';
+            if (entry.status === 'waiting') schedule(entry);
+            save();
+            onChange(entry);
+            return;
+        }
+        // Sent, even if it was discarded in the meantime
+        entries = entries.filter(other => other !== entry);
+        save();
+        onChange(entry, row);
+    }
+
+    function find(id) {
+        return entries.find(entry => entry.id === id);
+    }
+
+    // Try everything that isn't in flight right now. Failed entries wait
+    // for the visitor, some (a claimed name) would only fail again.
+    function flush() {
+        entries.filter(entry => entry.status !== 'failed').forEach(entry => attempt(entry));
+    }
+
+    window.addEventListener('online', flush);
+    setInterval(() => {
+        if (entries.length) save();
+    }, CLAIM_TIMEOUT / 3);
+    save();
+
+    return {
+        add(message) {
+            const entry = {
+                id: randomId(),
+                queued_at: new Date().toISOString(),
+                message,
+                status: 'waiting',
+                attempts: 0
+            };
+            entries.push(entry);
+            save();
+            onChange(entry);
+            attempt(entry);
+            return entry;
+        },
+        retry(id) {
+            const entry = find(id);
+            if (entry) attempt(entry);
+        },
+        discard(id) {
+            const entry = find(id);
+            if (!entry) return;
+            clearTimeout(timers.get(id));
+            timers.delete(id);
+            entries = entries.filter(other => other !== entry);
+            save();
+            onChange(entry);
+        },
+        flush,
+        // Entries oldest first, optionally only those for one room
+        list(room) {
+            return entries.filter(entry => !room || entry.message.room === room);
+        }
+    };
+}
@@ -0,0 +1,140 @@
+// chat-presence.js - "N online" and "… is typing" for xChat
+//
+// Built on the transport's joinPresence() (see chat-transport.js). chat.js
+// passes a getProfile() returning { client_id, name, color, room } from the chat
+// settings and calls the returned typing()/stopTyping()/updateProfile().
+// Presence covers every room; typing only shows for the room we are in.
+
+// Don't send "typing" more often than this while keys are pressed
+const TYPING_THROTTLE = 3000;
+// Quiet input for this long counts as stopped typing
+const TYPING_IDLE = 4000;
+// Forget a typist we stopped hearing from (their "stopped" got lost)
+const TYPING_EXPIRE = 6000;
+
+function describeTypists(names) {
+    if (names.length === 0) return '';
+    if (names.length === 1) return `${names[0]} is typing…`;
+    if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+    return 'Several people are typing…';
+}
+
+export function startPresence(transport, getProfile) {
+    const button = document.getElementById('presence-btn');
+    const list = document.getElementById('presence-list');
+    const indicator = document.getElementById('typing-indicator');
+
+    // client_id -> { name, timer } for other visitors currently typing
+    const typists = new Map();
+    let lastTypingSent = 0;
+    let idleTimer = null;
+
+    function renderMembers(profiles) {
+        if (button) {
+            button.querySelector('.presence-count').textContent = `${profiles.length} online`;
+            button.title = profiles.map(profile => profile.name || 'anon').join(', ');
+        }
+        if (!list) return;
+        const ownId = getProfile().client_id;
+        list.replaceChildren(...profiles.map(profile => {
+            const item = document.createElement('li');
+            const dot = document.createElement('span');
+            dot.className = 'presence-dot';
+            dot.style.backgroundColor = profile.color || '#4caf50';
+            item.append(dot, profile.name || 'anon');
+            if (profile.client_id === ownId) {
+                item.classList.add('presence-self');
+                item.append(' (you)');
+            }
+            if (profile.room) {
+                const room = document.createElement('span');
+                room.className = 'presence-room';
+                room.textContent = `#${profile.room}`;
+                item.append(room);
+            }
+            return item;
+        }));
+    }
+
+    function renderTypists() {
+        if (!indicator) return;
+        indicator.textContent = describeTypists([...typists.values()].map(typist => typist.name || 'anon'));
+    }
+
+    function handleTyping({ client_id, name, room, typing }) {
+        if (client_id === getProfile().client_id) return;
+        const existing = typists.get(client_id);
+        if (existing) clearTimeout(existing.timer);
+        if (typing && room === getProfile().room) {
+            const timer = setTimeout(() => {
+                typists.delete(client_id);
+                renderTypists();
+            }, TYPING_EXPIRE);
+            typists.set(client_id, { name, timer });
+        } else {
+            typists.delete(client_id);
+        }
+        renderTypists();
+    }
+
+    const session = transport.joinPresence(getProfile(), {
+        sync: profiles => {
+            renderMembers(profiles);
+            // Visitors who left can't still be typing
+            const present = new Set(profiles.map(profile => profile.client_id));
+            typists.forEach((typist, id) => {
+                if (present.has(id)) return;
+                clearTimeout(typist.timer);
+                typists.delete(id);
+            });
+            renderTypists();
+        },
+        typing: handleTyping
+    });
+
+    if (button && list) {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            list.hidden = !list.hidden;
+            button.setAttribute('aria-expanded', String(!list.hidden));
+        });
+        document.addEventListener('click', (e) => {
+            if (list.hidden || list.contains(e.target)) return;
+            list.hidden = true;
+            button.setAttribute('aria-expanded', 'false');
+        });
+    }
+
+    function stopTyping() {
+        clearTimeout(idleTimer);
+        idleTimer = null;
+        if (!lastTypingSent) return;
+        lastTypingSent = 0;
+        session.setTyping(false);
+    }
+
+    window.addEventListener('pagehide', () => session.leave());
+
+    return {
+        // Call on every keystroke in the message input
+        typing() {
+            const now = Date.now();
+            if (now - lastTypingSent > TYPING_THROTTLE) {
+                lastTypingSent = now;
+                session.setTyping(true);
+            }
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(stopTyping, TYPING_IDLE);
+        },
+        stopTyping,
+        // Call after the chat settings (name, color) or the room change
+        updateProfile() {
+            stopTyping();
+            // Typists from the room we left no longer apply
+            typists.forEach(typist => clearTimeout(typist.timer));
+            typists.clear();
+            renderTypists();
+            session.update(getProfile());
+        }
+    };
+}
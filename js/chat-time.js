@@ -0,0 +1,70 @@
+// chat-time.js - Timestamp formatting for xChat
+//
+// Rows carry an ISO created_at. Messages show a short inline time with the
+// absolute date in the tooltip, and the list is split by day separators.
+
+// Consecutive messages from the same name closer than this share one badge
+export const GROUP_WINDOW_MS = 5 * 60 * 1000;
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const clockFormat = new Intl.DateTimeFormat(undefined, { hour: 'numeric', minute: '2-digit' });
+const absoluteFormat = new Intl.DateTimeFormat(undefined, { dateStyle: 'full', timeStyle: 'short' });
+const dayFormat = new Intl.DateTimeFormat(undefined, { weekday: 'long', month: 'long', day: 'numeric' });
+const dayWithYearFormat = new Intl.DateTimeFormat(undefined, { month: 'long', day: 'numeric', year: 'numeric' });
+const relativeFormat = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' });
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+// Local calendar day, used to decide where separators go
+export function dayKey(iso) {
+    const date = new Date(iso);
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+// "Today", "Yesterday", "Monday, March 3" or "March 3, 2024" for other years
+export function formatDayLabel(iso, now = new Date()) {
+    const date = new Date(iso);
+    const days = Math.round((startOfDay(now) - startOfDay(date)) / DAY);
+    if (days === 0) return 'Today';
+    if (days === 1) return 'Yesterday';
+    return date.getFullYear() === now.getFullYear()
+        ? dayFormat.format(date)
+        : dayWithYearFormat.format(date);
+}
+
+// "just now", "5 minutes ago", "3 hours ago", "2 days ago"
+export function formatRelative(iso, now = new Date()) {
+    const elapsed = now - new Date(iso);
+    if (elapsed < MINUTE) return 'just now';
+    if (elapsed < HOUR) return relativeFormat.format(-Math.floor(elapsed / MINUTE), 'minute');
+    if (elapsed < DAY) return relativeFormat.format(-Math.floor(elapsed / HOUR), 'hour');
+    return relativeFormat.format(-Math.floor(elapsed / DAY), 'day');
+}
+
+// Inline label: relative for the last hour, the clock time after that
+export function formatInlineTime(iso, now = new Date()) {
+    return now - new Date(iso) < HOUR ? formatRelative(iso, now) : clockFormat.format(new Date(iso));
+}
+
+export function formatAbsolute(iso) {
+    return absoluteFormat.format(new Date(iso));
+}
+
+// Whether `row` continues the group started by `previous`
+export function isGroupedWith(previous, row) {
+    if (!previous || !row) return false;
+    // Replies always get their own badge above the quote, and /me lines
+    // read wrong without the name
+    if (row.reply_to || row.kind === 'action') return false;
+    if ((previous.name || 'anon') !== (row.name || 'anon')) return false;
+    // The verified mark must not hide in a group
+    if (Boolean(previous.name_verified) !== Boolean(row.name_verified)) return false;
+    if (dayKey(previous.created_at) !== dayKey(row.created_at)) return false;
+    const gap = new Date(row.created_at) - new Date(previous.created_at);
+    return gap >= 0 && gap < GROUP_WINDOW_MS;
+}
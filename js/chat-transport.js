@@ -0,0 +1,866 @@
+// chat-transport.js - Backends for xChat
+//
+// chat.js only talks to a transport, so the chat can run against Supabase, a
+// local WebSocket stand-in server or an in-browser store without touching the
+// UI code. Every transport implements:
+//
+//   list({ room, limit, before, after })
+//                                   Promise of message rows, oldest first.
+//                                   before/after are created_at cursors.
+//                                   Without a room every room is listed.
+//   get(id)                         Promise of one row, or null if it is gone
+//   send(message)                   Promise of the stored row. Sending a
+//                                   client_message_id that is already
+//                                   stored resolves to that row instead
+//                                   of adding another.
+//   edit(id, text)                  Promise of the edited row
+//   delete(id)                      Promise of the row's tombstone
+//   listReactions(messageIds)       Promise of the reactions on those messages
+//   addReaction(reaction)           Promise, resolves once stored
+//   removeReaction(reaction)        Promise, resolves once removed
+//   upload(blob, { extension })     Stores an image attachment and
+//                                   resolves to its URL
+//   attachmentUrlPrefix             What every uploaded attachment's URL
+//                                   starts with, or null when they are all
+//                                   data: URLs. Other URLs are not shown.
+//   checkName(name, key)            Promise of 'free', 'yours' (key unlocks
+//                                   it) or 'taken'
+//   claimName(name, key)            Promise of 'claimed' or 'verified';
+//                                   rejects with code 'name_taken'
+//   subscribe(handlers)             Starts live updates and returns an
+//                                   unsubscribe function for all rooms.
+//                                   handlers may have
+//                                   insert(row), update(row), delete(id),
+//                                   reaction('add' | 'remove', reaction) and
+//                                   status('connected' | 'disconnected').
+//   joinPresence(profile, handlers) Announces this visitor and returns
+//                                   { update(profile), setTyping(bool), leave() }.
+//                                   handlers may have sync(profiles) with
+//                                   everyone present (us included) and
+//                                   typing({ client_id, name, room, typing })
+//                                   for other visitors.
+//
+// A message row looks like
+//   { id, created_at, room, name, text, color, effect, wingdings, reply_to, kind,
+//     attachment_url, attachment_width, attachment_height,
+//     author_hash, edited_at, deleted_at, name_verified, client_message_id }
+// where effect is a text effect id (chat-effects.js) applied on display,
+// wingdings the flag older clients used instead, reply_to the id of the
+// message it answers (or null), kind 'text' or 'action' (/me) and the
+// attachment fields describe an optional image, client_message_id the
+// outbox entry it was sent from (chat-outbox.js), a reaction
+//   { message_id, emoji, client_id }
+// and a presence profile
+//   { client_id, name, color, room }
+//
+// Authorship: each transport gets the browser's author secret. The backend
+// stores its hashSecret() as author_hash on new rows and only lets the
+// same secret edit or delete a row, within config.chat.editWindow of it
+// being sent. Deleting leaves a tombstone: text and attachment are cleared
+// and deleted_at is set. Reactions are tied to the secret the same way:
+// only the secret that added one can remove it.
+//
+// Claimed names: getNameKey() returns the key for our name (chat-names.js),
+// if we have one. Sending under a name claimed with another key fails with
+// code 'name_taken'; rows under a claimed name get name_verified.
+//
+// Which transport is used comes from config.chat.transport ('supabase',
+// 'websocket' or 'memory'); mock mode always uses 'memory'.
+
+import { chatFixtures, reactionFixtures } from './mock-backend.js';
+import { normalizeName } from './chat-names.js';
+
+const TABLE = 'messages';
+const REACTIONS_TABLE = 'message_reactions';
+const PRESENCE_CHANNEL = 'xchat-presence';
+const SECRET_HEADER = 'x-chat-secret';
+const NAME_KEY_HEADER = 'x-chat-name-key';
+const NOT_ALLOWED = 'Only the author can change a message, and only shortly after sending it';
+const NOT_YOUR_REACTION = 'Only whoever added a reaction can remove it';
+
+function reactionKey({ message_id, emoji, client_id }) {
+    return `${message_id}|${emoji}|${client_id}`;
+}
+
+function pickReaction({ message_id, emoji, client_id }) {
+    return { message_id, emoji, client_id };
+}
+
+function pickProfile({ client_id, name, color, room }) {
+    return { client_id, name, color, room };
+}
+
+function byName(a, b) {
+    return (a.name || '').localeCompare(b.name || '');
+}
+
+// Newest `limit` rows matching the cursors, returned oldest first
+function applyListOptions(rows, { room, limit, before, after } = {}) {
+    let result = rows
+        .filter(row => !room || row.room === room)
+        .filter(row => (!before || row.created_at < before) && (!after || row.created_at > after))
+        .sort((a, b) => (a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0));
+    if (limit) result = result.slice(-limit);
+    return result;
+}
+
+// Retrying won't help, so the outbox shows these right away
+function nameTakenError(name) {
+    return Object.assign(new Error(`"${name}" is a claimed name. Unlock it with its passphrase in the chat settings.`), {
+        code: 'name_taken',
+        retryable: false
+    });
+}
+
+// Hex sha256 of an author secret. Needs a secure context; resolves to null
+// where crypto.subtle is missing.
+export async function hashSecret(secret) {
+    if (!secret || !globalThis.crypto || !crypto.subtle) return null;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(secret));
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Random, unguessable file name for an upload
+function uploadPath(extension) {
+    const day = new Date().toISOString().slice(0, 10);
+    const random = crypto.randomUUID ? crypto.randomUUID() : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    return `${day}/${random}.${extension}`;
+}
+
+function readAsDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.addEventListener('load', () => resolve(reader.result));
+        reader.addEventListener('error', () => reject(reader.error));
+        reader.readAsDataURL(blob);
+    });
+}
+
+export class SupabaseTransport {
+    constructor({ url, anonKey, clientUrl }, { bucket = 'chat-attachments', secret = null, getNameKey = () => null } = {}) {
+        this.options = { url, anonKey, clientUrl, bucket, secret, getNameKey };
+        this.client = null;
+        // What getPublicUrl() hands out for the bucket
+        this.attachmentUrlPrefix = `${url}/storage/v1/object/public/${bucket}/`;
+    }
+
+    // The client is imported lazily so other transports never hit the CDN.
+    // Every request carries the author secret and name key for the row
+    // level security policies (supabase/migrations/003, 007 and 008); the
+    // key can change, so the headers are added per request.
+    async getClient() {
+        if (!this.client) {
+            const { createClient } = await import(this.options.clientUrl);
+            const { secret, getNameKey } = this.options;
+            const fetchWithKeys = (input, init = {}) => {
+                const headers = new Headers(init.headers);
+                if (secret) headers.set(SECRET_HEADER, secret);
+                const nameKey = getNameKey();
+                if (nameKey) headers.set(NAME_KEY_HEADER, nameKey);
+                return fetch(input, { ...init, headers });
+            };
+            this.client = createClient(this.options.url, this.options.anonKey, { global: { fetch: fetchWithKeys } });
+        }
+        return this.client;
+    }
+
+    async list({ room, limit, before, after } = {}) {
+        const client = await this.getClient();
+        // Fetch newest first so limit keeps the latest rows, then flip
+        let query = client.from(TABLE).select('*').order('created_at', { ascending: false });
+        if (room) query = query.eq('room', room);
+        if (before) query = query.lt('created_at', before);
+        if (after) query = query.gt('created_at', after);
+        if (limit) query = query.limit(limit);
+        const { data, error } = await query;
+        if (error) throw error;
+        return (data || []).reverse();
+    }
+
+    async get(id) {
+        const client = await this.getClient();
+        const { data, error } = await client.from(TABLE).select('*').eq('id', id).maybeSingle();
+        if (error) throw error;
+        return data;
+    }
+
+    async send(message) {
+        const client = await this.getClient();
+        const { data, error } = await client.from(TABLE).insert([message]).select().single();
+        // Stored on an earlier try whose response never arrived
+        if (error && error.code === '23505' && message.client_message_id) {
+            return this.findSent(client, message.client_message_id);
+        }
+        // The only insert policy is the claimed name check
+        if (error && error.code === '42501') throw nameTakenError(message.name);
+        if (error) throw error;
+        return data;
+    }
+
+    async findSent(client, clientMessageId) {
+        const { data, error } = await client.from(TABLE).select('*').eq('client_message_id', clientMessageId).single();
+        if (error) throw error;
+        return data;
+    }
+
+    async checkName(name, key) {
+        const client = await this.getClient();
+        const { data, error } = await client.rpc('chat_name_status', { p_name: name, p_key: key || '' });
+        if (error) throw error;
+        return data;
+    }
+
+    async claimName(name, key) {
+        const client = await this.getClient();
+        const { data, error } = await client.rpc('claim_name', { p_name: name, p_key: key });
+        if (error && error.hint === 'name_taken') throw nameTakenError(name);
+        if (error) throw error;
+        return data;
+    }
+
+    // Row level security hides rows we may not change, so those come back
+    // as no row rather than an error
+    async change(id, changes) {
+        const client = await this.getClient();
+        const { data, error } = await client.from(TABLE).update(changes).eq('id', id).select().maybeSingle();
+        if (error) throw error;
+        if (!data) throw new Error(NOT_ALLOWED);
+        return data;
+    }
+
+    edit(id, text) {
+        return this.change(id, { text });
+    }
+
+    // The database clears the row and sets the real time
+    delete(id) {
+        return this.change(id, { deleted_at: new Date().toISOString() });
+    }
+
+    async upload(blob, { extension }) {
+        const client = await this.getClient();
+        const bucket = client.storage.from(this.options.bucket);
+        const path = uploadPath(extension);
+        const { error } = await bucket.upload(path, blob, {
+            contentType: blob.type,
+            cacheControl: '31536000',
+            upsert: false
+        });
+        if (error) throw error;
+        return bucket.getPublicUrl(path).data.publicUrl;
+    }
+
+    async listReactions(messageIds) {
+        if (!messageIds.length) return [];
+        const client = await this.getClient();
+        const { data, error } = await client
+            .from(REACTIONS_TABLE)
+            .select('message_id, emoji, client_id')
+            .in('message_id', messageIds);
+        if (error) throw error;
+        return data || [];
+    }
+
+    async addReaction(reaction) {
+        const client = await this.getClient();
+        // Already reacted (e.g. from another tab) is not an error
+        const { error } = await client.from(REACTIONS_TABLE).upsert([pickReaction(reaction)], { ignoreDuplicates: true });
+        if (error) throw error;
+    }
+
+    async removeReaction({ message_id, emoji, client_id }) {
+        const client = await this.getClient();
+        const { error } = await client
+            .from(REACTIONS_TABLE)
+            .delete()
+            .match({ message_id, emoji, client_id });
+        if (error) throw error;
+    }
+
+    subscribe(handlers = {}) {
+        let channel = null;
+        let closed = false;
+        this.getClient().then(client => {
+            if (closed) return;
+            channel = client
+                .channel(`public:${TABLE}`)
+                .on('postgres_changes', { event: '*', schema: 'public', table: TABLE }, payload => {
+                    if (payload.eventType === 'INSERT') handlers.insert && handlers.insert(payload.new);
+                    if (payload.eventType === 'UPDATE') handlers.update && handlers.update(payload.new);
+                    if (payload.eventType === 'DELETE') handlers.delete && handlers.delete(payload.old.id);
+                })
+                .on('postgres_changes', { event: '*', schema: 'public', table: REACTIONS_TABLE }, payload => {
+                    if (!handlers.reaction) return;
+                    if (payload.eventType === 'INSERT') handlers.reaction('add', pickReaction(payload.new));
+                    if (payload.eventType === 'DELETE') handlers.reaction('remove', pickReaction(payload.old));
+                })
+                .subscribe(status => {
+                    if (!handlers.status) return;
+                    handlers.status(status === 'SUBSCRIBED' ? 'connected' : 'disconnected');
+                });
+        }).catch(err => {
+            console.error('Chat realtime unavailable:', err);
+            handlers.status && handlers.status('disconnected');
+        });
+
+        return () => {
+            closed = true;
+            if (channel && this.client) this.client.removeChannel(channel);
+        };
+    }
+
+    // Supabase Realtime presence for who is here, broadcast for typing
+    joinPresence(profile, handlers = {}) {
+        let channel = null;
+        let current = pickProfile(profile);
+        let left = false;
+        this.getClient().then(client => {
+            if (left) return;
+            channel = client.channel(PRESENCE_CHANNEL, { config: { presence: { key: current.client_id } } });
+            channel
+                .on('presence', { event: 'sync' }, () => {
+                    if (!handlers.sync) return;
+                    // One entry per visitor even with several tabs open
+                    const profiles = Object.values(channel.presenceState())
+                        .map(metas => pickProfile(metas[metas.length - 1]));
+                    handlers.sync(profiles.sort(byName));
+                })
+                .on('broadcast', { event: 'typing' }, ({ payload }) => {
+                    handlers.typing && handlers.typing(payload);
+                })
+                .subscribe(status => {
+                    if (status === 'SUBSCRIBED') channel.track(current);
+                });
+        }).catch(err => console.error('Chat presence unavailable:', err));
+
+        return {
+            update: next => {
+                current = pickProfile(next);
+                if (channel) channel.track(current);
+            },
+            setTyping: typing => {
+                if (!channel) return;
+                channel.send({
+                    type: 'broadcast',
+                    event: 'typing',
+                    payload: { client_id: current.client_id, name: current.name, room: current.room, typing }
+                });
+            },
+            leave: () => {
+                left = true;
+                if (channel && this.client) this.client.removeChannel(channel);
+            }
+        };
+    }
+}
+
+// Talks JSON over a WebSocket to a stand-in server. Requests carry an id the
+// server echoes back:
+//   -> { type: 'list', requestId, room, limit, before, after }
+//   -> { type: 'get', requestId, id }
+//   -> { type: 'send', requestId, message, secret, nameKey }
+//      (a message.client_message_id the server already has returns that row)
+//   -> { type: 'edit', requestId, id, text, secret }
+//   -> { type: 'delete', requestId, id, secret }
+//   -> { type: 'reactions', requestId, messageIds }
+//   -> { type: 'react' | 'unreact', requestId, reaction, secret }
+//   -> { type: 'upload', requestId, contentType, extension, data }
+//      (data is a data: URL; the result is the stored file's URL, on the
+//      server's own origin)
+//   -> { type: 'check-name' | 'claim-name', requestId, name, key }
+//   <- { type: 'result', requestId, data } | { type: 'error', requestId, error, code }
+// and pushes changes as they happen:
+//   <- { type: 'insert' | 'update', message } | { type: 'delete', id }
+//   <- { type: 'reaction', action: 'add' | 'remove', reaction }
+// secret is the author secret (see above); the server keeps only its hash.
+// Presence frames are fire-and-forget:
+//   -> { type: 'presence', profile } | { type: 'leave' }
+//   -> { type: 'typing', typing: { client_id, name, room, typing } }
+//   <- { type: 'presence', profiles } | { type: 'typing', typing }
+export class WebSocketTransport {
+    constructor({ url, requestTimeout = 10000, secret = null, getNameKey = () => null }) {
+        this.url = url;
+        this.secret = secret;
+        this.getNameKey = getNameKey;
+        this.requestTimeout = requestTimeout;
+        // The stand-in server serves uploads from its own origin
+        this.attachmentUrlPrefix = url.replace(/^ws(s?):\/\/([^/]+).*$/, 'http$1://$2/');
+        this.socket = null;
+        this.opening = null;
+        this.nextRequestId = 1;
+        this.pending = new Map();
+        this.subscribers = new Set();
+        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+        this.presence = null; // { profile, handlers } while joined
+    }
+
+    connect() {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) return Promise.resolve(this.socket);
+        if (this.opening) return this.opening;
+
+        this.opening = new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            socket.addEventListener('open', () => {
+                this.socket = socket;
+                this.opening = null;
+                this.reconnectDelay = 1000;
+                // The server forgets us when the socket drops
+                if (this.presence) this.post({ type: 'presence', profile: this.presence.profile });
+                this.notifyStatus('connected');
+                resolve(socket);
+            });
+            socket.addEventListener('message', e => this.handleMessage(e.data));
+            socket.addEventListener('close', () => {
+                const wasOpen = this.socket === socket;
+                if (wasOpen) this.socket = null;
+                if (this.opening) {
+                    this.opening = null;
+                    reject(new Error(`Could not connect to ${this.url}`));
+                }
+                this.pending.forEach(({ reject: fail, timer }) => {
+                    clearTimeout(timer);
+                    fail(new Error('Chat connection closed'));
+                });
+                this.pending.clear();
+                if (wasOpen) this.notifyStatus('disconnected');
+                this.scheduleReconnect();
+            });
+        });
+        return this.opening;
+    }
+
+    // Only keep reconnecting while someone is subscribed
+    scheduleReconnect() {
+        if ((this.subscribers.size === 0 && !this.presence) || this.reconnectTimer) return;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect().catch(() => {});
+        }, this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, 30000);
+    }
+
+    handleMessage(raw) {
+        let msg;
+        try {
+            msg = JSON.parse(raw);
+        } catch {
+            console.warn('Ignoring malformed chat frame:', raw);
+            return;
+        }
+
+        if (msg.type === 'result' || msg.type === 'error') {
+            const request = this.pending.get(msg.requestId);
+            if (!request) return;
+            this.pending.delete(msg.requestId);
+            clearTimeout(request.timer);
+            if (msg.type === 'result') request.resolve(msg.data);
+            else request.reject(Object.assign(new Error(msg.error || 'Chat server error'), { code: msg.code }));
+            return;
+        }
+
+        if (msg.type === 'presence' || msg.type === 'typing') {
+            const handlers = this.presence ? this.presence.handlers : {};
+            if (msg.type === 'presence' && handlers.sync) handlers.sync((msg.profiles || []).map(pickProfile).sort(byName));
+            if (msg.type === 'typing' && handlers.typing) handlers.typing(msg.typing);
+            return;
+        }
+
+        this.subscribers.forEach(handlers => {
+            if (msg.type === 'insert' && handlers.insert) handlers.insert(msg.message);
+            if (msg.type === 'update' && handlers.update) handlers.update(msg.message);
+            if (msg.type === 'delete' && handlers.delete) handlers.delete(msg.id);
+            if (msg.type === 'reaction' && handlers.reaction) handlers.reaction(msg.action, msg.reaction);
+        });
+    }
+
+    notifyStatus(status) {
+        this.subscribers.forEach(handlers => handlers.status && handlers.status(status));
+    }
+
+    // Send a frame that expects no answer, if connected
+    post(frame) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) this.socket.send(JSON.stringify(frame));
+    }
+
+    async request(type, payload) {
+        const socket = await this.connect();
+        const requestId = this.nextRequestId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(requestId);
+                reject(new Error(`Chat request "${type}" timed out`));
+            }, this.requestTimeout);
+            this.pending.set(requestId, { resolve, reject, timer });
+            socket.send(JSON.stringify({ type, requestId, ...payload }));
+        });
+    }
+
+    async list(options = {}) {
+        return (await this.request('list', options)) || [];
+    }
+
+    async get(id) {
+        return (await this.request('get', { id })) || null;
+    }
+
+    async send(message) {
+        try {
+            return await this.request('send', { message, secret: this.secret, nameKey: this.getNameKey() });
+        } catch (err) {
+            throw err.code === 'name_taken' ? nameTakenError(message.name) : err;
+        }
+    }
+
+    checkName(name, key) {
+        return this.request('check-name', { name, key });
+    }
+
+    async claimName(name, key) {
+        try {
+            return await this.request('claim-name', { name, key });
+        } catch (err) {
+            throw err.code === 'name_taken' ? nameTakenError(name) : err;
+        }
+    }
+
+    edit(id, text) {
+        return this.request('edit', { id, text, secret: this.secret });
+    }
+
+    delete(id) {
+        return this.request('delete', { id, secret: this.secret });
+    }
+
+    async upload(blob, { extension }) {
+        const data = await readAsDataUrl(blob);
+        return this.request('upload', { contentType: blob.type, extension, data });
+    }
+
+    async listReactions(messageIds) {
+        if (!messageIds.length) return [];
+        return (await this.request('reactions', { messageIds })) || [];
+    }
+
+    async addReaction(reaction) {
+        await this.request('react', { reaction: pickReaction(reaction), secret: this.secret });
+    }
+
+    async removeReaction(reaction) {
+        await this.request('unreact', { reaction: pickReaction(reaction), secret: this.secret });
+    }
+
+    subscribe(handlers = {}) {
+        this.subscribers.add(handlers);
+        this.connect().catch(err => {
+            console.error('Chat socket unavailable:', err);
+            handlers.status && handlers.status('disconnected');
+        });
+        return () => {
+            this.subscribers.delete(handlers);
+            if (this.subscribers.size === 0 && !this.presence && this.socket) this.socket.close();
+        };
+    }
+
+    joinPresence(profile, handlers = {}) {
+        this.presence = { profile: pickProfile(profile), handlers };
+        // connect() announces us once the socket is open
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.post({ type: 'presence', profile: this.presence.profile });
+        } else {
+            this.connect().catch(err => console.error('Chat presence unavailable:', err));
+        }
+
+        return {
+            update: next => {
+                if (!this.presence) return;
+                this.presence.profile = pickProfile(next);
+                this.post({ type: 'presence', profile: this.presence.profile });
+            },
+            setTyping: typing => {
+                if (!this.presence) return;
+                const { client_id, name, room } = this.presence.profile;
+                this.post({ type: 'typing', typing: { client_id, name, room, typing } });
+            },
+            leave: () => {
+                this.presence = null;
+                this.post({ type: 'leave' });
+            }
+        };
+    }
+}
+
+// Keeps messages in memory, seeded with fixtures. Tabs on the same origin
+// share messages over a BroadcastChannel; a new tab asks the others for
+// what they have so history is consistent across tabs. Presence works the
+// same way: tabs announce themselves, repeat it every few seconds and are
+// dropped when they go quiet.
+export class MemoryTransport {
+    constructor({ seed = chatFixtures, reactionSeed = reactionFixtures, channelName = 'xchat-memory', secret = null, editWindow = 0, getNameKey = () => null } = {}) {
+        this.authorHash = hashSecret(secret).catch(() => null);
+        this.attachmentUrlPrefix = null; // Uploads stay inline as data: URLs
+        this.editWindow = editWindow;
+        this.getNameKey = getNameKey;
+        this.claims = new Map(); // normalized name -> hash of its key
+        this.rows = new Map(seed.map(row => [String(row.id), { ...row }]));
+        this.reactions = new Map(reactionSeed.map(reaction => [reactionKey(reaction), pickReaction(reaction)]));
+        // reactionKey -> author hash of whoever added it (fixtures have none)
+        this.reactionOwners = new Map();
+        this.subscribers = new Set();
+        this.peers = new Map(); // client_id -> { profile, seen }
+        this.presence = null; // { profile, handlers, timer } while joined
+        this.channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(channelName) : null;
+        if (this.channel) {
+            this.channel.addEventListener('message', e => this.handleBroadcast(e.data));
+            this.channel.postMessage({ type: 'hello' });
+        }
+    }
+
+    handleBroadcast(msg) {
+        if (!msg) return;
+        if (msg.type === 'hello') {
+            this.channel.postMessage({
+                type: 'snapshot',
+                rows: [...this.rows.values()],
+                reactions: [...this.reactions.values()],
+                reactionOwners: [...this.reactionOwners],
+                claims: [...this.claims]
+            });
+        } else if (msg.type === 'snapshot') {
+            msg.rows.forEach(row => {
+                if (!this.rows.has(String(row.id))) this.store(row, 'insert');
+            });
+            (msg.reactionOwners || []).forEach(([key, hash]) => {
+                if (!this.reactionOwners.has(key)) this.reactionOwners.set(key, hash);
+            });
+            (msg.reactions || []).forEach(reaction => this.storeReaction(reaction));
+            (msg.claims || []).forEach(([name, keyHash]) => {
+                if (!this.claims.has(name)) this.claims.set(name, keyHash);
+            });
+        } else if (msg.type === 'claim') {
+            if (!this.claims.has(msg.name)) this.claims.set(msg.name, msg.keyHash);
+        } else if (msg.type === 'react') {
+            this.storeReaction(msg.reaction, msg.authorHash);
+        } else if (msg.type === 'unreact') {
+            if (this.reactionOwners.get(reactionKey(msg.reaction)) === msg.authorHash) this.forgetReaction(msg.reaction);
+        } else if (msg.type === 'presence-join' || msg.type === 'presence-here') {
+            if (!this.presence) return;
+            this.peers.set(msg.profile.client_id, { profile: pickProfile(msg.profile), seen: Date.now() });
+            // Let a newcomer know we are here without waiting for the heartbeat
+            if (msg.type === 'presence-join') this.channel.postMessage({ type: 'presence-here', profile: this.presence.profile });
+            this.syncPresence();
+        } else if (msg.type === 'presence-leave') {
+            if (this.peers.delete(msg.client_id)) this.syncPresence();
+        } else if (msg.type === 'typing') {
+            if (this.presence && this.presence.handlers.typing) this.presence.handlers.typing(msg.typing);
+        } else if (msg.type === 'insert' || msg.type === 'update') {
+            this.store(msg.message, msg.type);
+        } else if (msg.type === 'delete') {
+            this.forget(msg.id);
+        }
+    }
+
+    store(row, event) {
+        this.rows.set(String(row.id), row);
+        this.emit(event, row);
+    }
+
+    forget(id) {
+        if (!this.rows.delete(String(id))) return;
+        // Reactions go with their message, like the cascade in the database
+        this.reactions.forEach((reaction, key) => {
+            if (String(reaction.message_id) !== String(id)) return;
+            this.reactions.delete(key);
+            this.reactionOwners.delete(key);
+        });
+        this.emit('delete', id);
+    }
+
+    storeReaction(reaction, authorHash = null) {
+        const key = reactionKey(reaction);
+        if (this.reactions.has(key)) return;
+        this.reactions.set(key, pickReaction(reaction));
+        if (authorHash) this.reactionOwners.set(key, authorHash);
+        this.emit('reaction', 'add', pickReaction(reaction));
+    }
+
+    forgetReaction(reaction) {
+        const key = reactionKey(reaction);
+        this.reactionOwners.delete(key);
+        if (this.reactions.delete(key)) this.emit('reaction', 'remove', pickReaction(reaction));
+    }
+
+    emit(event, ...args) {
+        this.subscribers.forEach(handlers => handlers[event] && handlers[event](...args));
+    }
+
+    syncPresence() {
+        if (!this.presence || !this.presence.handlers.sync) return;
+        const profiles = [this.presence.profile, ...[...this.peers.values()].map(peer => peer.profile)]
+            .filter((profile, i, all) => all.findIndex(other => other.client_id === profile.client_id) === i);
+        this.presence.handlers.sync(profiles.sort(byName));
+    }
+
+    joinPresence(profile, handlers = {}, { heartbeat = 5000 } = {}) {
+        const post = msg => this.channel && this.channel.postMessage(msg);
+        this.presence = { profile: pickProfile(profile), handlers, timer: null };
+        post({ type: 'presence-join', profile: this.presence.profile });
+        this.presence.timer = setInterval(() => {
+            post({ type: 'presence-here', profile: this.presence.profile });
+            // Tabs that were closed without saying goodbye
+            const cutoff = Date.now() - heartbeat * 3;
+            this.peers.forEach((peer, id) => {
+                if (peer.seen < cutoff) this.peers.delete(id);
+            });
+            this.syncPresence();
+        }, heartbeat);
+        setTimeout(() => this.syncPresence(), 0);
+
+        return {
+            update: next => {
+                if (!this.presence) return;
+                this.presence.profile = pickProfile(next);
+                post({ type: 'presence-here', profile: this.presence.profile });
+                this.syncPresence();
+            },
+            setTyping: typing => {
+                if (!this.presence) return;
+                const { client_id, name, room } = this.presence.profile;
+                post({ type: 'typing', typing: { client_id, name, room, typing } });
+            },
+            leave: () => {
+                if (!this.presence) return;
+                clearInterval(this.presence.timer);
+                post({ type: 'presence-leave', client_id: this.presence.profile.client_id });
+                this.presence = null;
+                this.peers.clear();
+            }
+        };
+    }
+
+    async list(options = {}) {
+        return applyListOptions([...this.rows.values()], options).map(row => ({ ...row }));
+    }
+
+    async get(id) {
+        const row = this.rows.get(String(id));
+        return row ? { ...row } : null;
+    }
+
+    async send(message) {
+        const sent = message.client_message_id &&
+            [...this.rows.values()].find(row => row.client_message_id === message.client_message_id);
+        if (sent) return { ...sent };
+        const nameStatus = await this.checkName(message.name, this.getNameKey());
+        if (nameStatus === 'taken') throw nameTakenError(message.name);
+        const row = {
+            // Random ids so rows created in different tabs never collide
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            created_at: new Date().toISOString(),
+            ...message,
+            author_hash: await this.authorHash,
+            name_verified: nameStatus === 'yours',
+            edited_at: null,
+            deleted_at: null
+        };
+        this.store(row, 'insert');
+        if (this.channel) this.channel.postMessage({ type: 'insert', message: row });
+        return { ...row };
+    }
+
+    // Claims only live as long as some tab is open
+    async checkName(name, key) {
+        const keyHash = this.claims.get(normalizeName(name));
+        if (!keyHash) return 'free';
+        return keyHash === await hashSecret(key) ? 'yours' : 'taken';
+    }
+
+    async claimName(name, key) {
+        const status = await this.checkName(name, key);
+        if (status === 'taken') throw nameTakenError(name);
+        if (status === 'yours') return 'verified';
+        const keyHash = await hashSecret(key);
+        this.claims.set(normalizeName(name), keyHash);
+        if (this.channel) this.channel.postMessage({ type: 'claim', name: normalizeName(name), keyHash });
+        return 'claimed';
+    }
+
+    // The same rules as the Supabase policy
+    async change(id, changes) {
+        const row = this.rows.get(String(id));
+        const hash = await this.authorHash;
+        if (!row || row.deleted_at || !hash || row.author_hash !== hash ||
+            Date.now() - Date.parse(row.created_at) > this.editWindow) {
+            throw new Error(NOT_ALLOWED);
+        }
+        const changed = { ...row, ...changes };
+        this.store(changed, 'update');
+        if (this.channel) this.channel.postMessage({ type: 'update', message: changed });
+        return { ...changed };
+    }
+
+    edit(id, text) {
+        return this.change(id, { text, edited_at: new Date().toISOString() });
+    }
+
+    delete(id) {
+        return this.change(id, {
+            text: '',
+            attachment_url: null,
+            attachment_width: null,
+            attachment_height: null,
+            deleted_at: new Date().toISOString()
+        });
+    }
+
+    // Kept inline as a data: URL so other tabs can show it too
+    async upload(blob) {
+        return readAsDataUrl(blob);
+    }
+
+    async listReactions(messageIds) {
+        const ids = new Set(messageIds.map(String));
+        return [...this.reactions.values()]
+            .filter(reaction => ids.has(String(reaction.message_id)))
+            .map(pickReaction);
+    }
+
+    async addReaction(reaction) {
+        const authorHash = await this.authorHash;
+        this.storeReaction(reaction, authorHash);
+        if (this.channel) this.channel.postMessage({ type: 'react', reaction: pickReaction(reaction), authorHash });
+    }
+
+    // Like the delete policy in migration 003: only the secret that added
+    // a reaction can remove it
+    async removeReaction(reaction) {
+        const key = reactionKey(reaction);
+        if (!this.reactions.has(key)) return;
+        const authorHash = await this.authorHash;
+        if (!authorHash || this.reactionOwners.get(key) !== authorHash) throw new Error(NOT_YOUR_REACTION);
+        this.forgetReaction(reaction);
+        if (this.channel) this.channel.postMessage({ type: 'unreact', reaction: pickReaction(reaction), authorHash });
+    }
+
+    subscribe(handlers = {}) {
+        this.subscribers.add(handlers);
+        if (handlers.status) setTimeout(() => handlers.status('connected'), 0);
+        return () => this.subscribers.delete(handlers);
+    }
+}
+
+// secret is the browser's author secret (localStorage chatSecret),
+// getNameKey() the key for a claimed name (localStorage chatNameKey)
+export function createChatTransport(config, { mock = false, secret = null, getNameKey = () => null } = {}) {
+    const kind = mock ? 'memory' : config.chat.transport;
+    switch (kind) {
+        case 'supabase':
+            return new SupabaseTransport(config.supabase, { bucket: config.chat.attachments.bucket, secret, getNameKey });
+        case 'websocket':
+            return new WebSocketTransport({ url: config.chat.websocketUrl, secret, getNameKey });
+        case 'memory':
+            return new MemoryTransport({ secret, editWindow: config.chat.editWindow, getNameKey });
+        default:
+            throw new Error(`Unknown chat transport "${kind}"`);
+    }
+}
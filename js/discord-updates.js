@@ -1,7 +1,13 @@
-// Configuration
-const UPDATE_INTERVAL = 30000; // 30 seconds
-const MESSAGES_PER_PAGE = 20; // Number of messages to load at once
-const DISCORD_API_URL = 'https://8aa5dba9-a0d7-49a0-be13-bb0913d48f60-00-3rwl9v1mf0e9l.janeway.replit.dev/api/messages';
+import { reportServiceStatus } from './offline.js';
+import { config, isMock } from './config.js';
+import { mockDiscordFetch } from './mock-backend.js';
+
+// Configuration (see config.js)
+const UPDATE_INTERVAL = config.discord.updateInterval;
+const MESSAGES_PER_PAGE = config.discord.messagesPerPage; // Number of messages to load at once
+const DISCORD_API_URL = config.discord.apiUrl;
+// In mock mode the feed is served from fixtures instead of the proxy
+const fetchUpdates = isMock ? mockDiscordFetch : (url, options) => fetch(url, options);
 
 // No global discordContent variable—always get fresh DOM reference
 
@@ -513,7 +519,7 @@ window.fetchMessages = async function(isLoadingMore = false) {
         const url = `${DISCORD_API_URL}?${params.toString()}`;
         console.log('API Request:', url);
         
-        const response = await fetch(url, {
+        const response = await fetchUpdates(url, {
             method: 'GET',
             mode: 'cors',
             cache: 'no-cache',
@@ -540,6 +546,7 @@ window.fetchMessages = async function(isLoadingMore = false) {
         
         // Process the messages
         if (data && Array.isArray(data)) {
+            reportServiceStatus('updates', true);
             console.log('Received', data.length, 'messages');
             if (data.length === 0) {
                 console.log('No new messages available');
@@ -561,6 +568,7 @@ window.fetchMessages = async function(isLoadingMore = false) {
         }
     } catch (error) {
         console.error('Error fetching messages:', error);
+        reportServiceStatus('updates', false);
         hasMoreMessages = false;
         
         // Always show error in the UI, not just on initial load
@@ -638,7 +646,7 @@ function startAutoRefresh() {
     
     // Initial load with a small delay to let the page settle
     console.log('Scheduling initial fetch...');
-    setTimeout(() => {
+    const initialFetch = setTimeout(() => {
         console.log('Running initial fetch...');
         checkAndFetch();
     }, 100);
@@ -653,6 +661,7 @@ function startAutoRefresh() {
     // Return cleanup function
     return () => {
         console.log('Clearing auto-refresh interval');
+        clearTimeout(initialFetch);
         clearInterval(refreshInterval);
     };
 }
@@ -696,27 +705,25 @@ function initialize() {
     console.log('Discord updates initialized');
 }
 
-// Wait for required DOM elements before initializing
-function waitForDiscordElements(callback) {
-    const check = () => {
-        const discordContent = document.getElementById('discord-content');
-        const loadingEl = document.getElementById('updates-loading');
-        const contentEl = document.getElementById('updates-content');
-        if (discordContent && loadingEl && contentEl) {
-            callback();
-        } else {
-            setTimeout(check, 100); // Try again in 100ms
-        }
-    };
-    check();
+// Called by spa.js once pages/home.html is in #content
+window.robustDiscordInit = initialize;
+
+// Called by spa.js when navigating away from the home page
+function stopDiscordUpdates() {
+    if (window.discordUpdatesCleanup) {
+        window.discordUpdatesCleanup();
+        window.discordUpdatesCleanup = null;
+    }
+    // The feed is not shown anywhere else, so stop counting it as down
+    reportServiceStatus('updates', null);
 }
+window.stopDiscordUpdates = stopDiscordUpdates;
 
-// Listen for SPA navigation (hashchange) and re-initialize Discord updates
-function robustDiscordInit() {
-    waitForDiscordElements(() => {
-        initialize();
-    });
+// config.js can hold this module back (it waits for config.local.json on
+// localhost) until after spa.js has entered #home, when robustDiscordInit
+// wasn't defined yet
+if (document.getElementById('discord-content') && !window.discordUpdatesCleanup) {
+    initialize();
 }
-window.robustDiscordInit = robustDiscordInit;
 
 
@@ -1,136 +1,263 @@
 // gallery.js - Complete Fixed Version
-document.addEventListener('DOMContentLoaded', function() {
-  console.log('Gallery script initialized'); // Debug 1
+// The gallery lives in an SPA fragment, so spa.js calls initGalleryPage()
+// after injecting pages/gallery.html instead of waiting for DOMContentLoaded.
+//
+// Routes handled here:
+//   #gallery                          all items
+//   #gallery?category=tops&sort=likes filtered / sorted grid
+//   #gallery/item/2                   grid with item 2 open in the quick view
 
-  // Sample data with multiple path options - try them one by one
-  const clothingItems = [
-    {
-      id: 1,
-      title: "Cropped Denim Top",
-      // Try these paths in order until images appear:
-      image: "./images/Gallery/4-5.png",    // Option 1 (most common)
-      // image: "images/Gallery/4-5.png",   // Option 2
-      // image: "/images/Gallery/4-5.png",  // Option 3
-      // image: "Gallery/4-5.png",          // Option 4
-      // image: "https://via.placeholder.com/400x500.png?text=Placeholder", // Option 5 (test)
-      date: "05/15/2023",
-      likes: 42,
-      description: "Handmade cropped denim top with custom embroidery.",
-      materials: "Denim, cotton thread",
-      category: "tops"
-    },
-    // Additional items...
-    {
-      id: 2,
-      title: "Patchwork Jeans",
-      image: "./images/Gallery/4-5.png", // Use same path as first item
-      date: "04/22/2023",
-      likes: 28,
-      description: "Upcycled jeans with patchwork design.",
-      materials: "Recycled denim",
-      category: "bottoms"
-    }
-  ];
+// Sample data with multiple path options - try them one by one
+const clothingItems = [
+  {
+    id: 1,
+    title: "Cropped Denim Top",
+    // Try these paths in order until images appear:
+    image: "./images/Gallery/4-5.png",    // Option 1 (most common)
+    // image: "images/Gallery/4-5.png",   // Option 2
+    // image: "/images/Gallery/4-5.png",  // Option 3
+    // image: "Gallery/4-5.png",          // Option 4
+    // image: "https://via.placeholder.com/400x500.png?text=Placeholder", // Option 5 (test)
+    date: "05/15/2023",
+    likes: 42,
+    description: "Handmade cropped denim top with custom embroidery.",
+    materials: "Denim, cotton thread",
+    category: "tops"
+  },
+  // Additional items...
+  {
+    id: 2,
+    title: "Patchwork Jeans",
+    image: "./images/Gallery/4-5.png", // Use same path as first item
+    date: "04/22/2023",
+    likes: 28,
+    description: "Upcycled jeans with patchwork design.",
+    materials: "Recycled denim",
+    category: "bottoms"
+  }
+];
+
+// Sort orders understood by the ?sort= query parameter
+const gallerySorts = {
+  likes: (a, b) => b.likes - a.likes,
+  date: (a, b) => new Date(b.date) - new Date(a.date),
+  title: (a, b) => a.title.localeCompare(b.title)
+};
+
+// State of the mounted gallery page (null when another page is shown)
+let gallery = null;
+
+function getGalleryItem(id) {
+  return clothingItems.find(item => String(item.id) === String(id)) || null;
+}
+
+// Build the hash for the grid, keeping the current filters
+function galleryHash(query = {}, itemId = null) {
+  const qs = new URLSearchParams(query).toString();
+  return `#gallery${itemId ? `/item/${itemId}` : ''}${qs ? `?${qs}` : ''}`;
+}
+
+function initGalleryPage(container = document, ctx = { params: {}, query: {} }) {
+  teardownGalleryPage();
+  console.log('Gallery script initialized'); // Debug 1
 
   // 1. Find gallery container with error checking
-  const galleryGrid = document.querySelector('.gallery-grid');
+  const galleryGrid = container.querySelector('.gallery-grid');
   if (!galleryGrid) {
     console.error('Error: Could not find .gallery-grid element');
     return;
   }
   console.log('Gallery grid found:', galleryGrid); // Debug 2
 
-  // 2. Image loader with debugging
-  function loadImage(url) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.src = url;
-      img.onload = () => {
-        console.log(`Image loaded: ${url}`); // Debug 3
-        resolve(url);
-      };
-      img.onerror = () => {
-        console.error(`Failed to load: ${url}`); // Debug 4
-        reject(url);
-      };
-    });
+  // 5. Quick View Modal: clicking an item makes it the current route
+  function handleItemClick(e) {
+    const itemEl = e.target.closest('.gallery-item');
+    if (!itemEl) return;
+    const item = getGalleryItem(itemEl.dataset.id);
+    if (item) location.hash = galleryHash(gallery.query, item.id);
   }
 
-  // 3. Render function with image validation
-  async function renderGallery(items) {
-    galleryGrid.innerHTML = '<div class="loading">Loading gallery...</div>';
-    
-    let successfulItems = [];
-    
-    // Verify each image loads before rendering
-    for (const item of items) {
-      try {
-        await loadImage(item.image);
-        successfulItems.push(item);
-      } catch (error) {
-        console.warn(`Skipping item "${item.title}" - image failed to load`);
-      }
-    }
+  const modal = container.querySelector('#quick-view-modal');
+  function handleCloseClick() {
+    location.hash = galleryHash(gallery.query);
+  }
 
-    // Render only items with valid images
-    galleryGrid.innerHTML = '';
-    successfulItems.forEach(item => {
-      const itemHTML = `
-        <div class="gallery-item" data-category="${item.category}">
-          <div class="item-image-container">
-            <img src="${item.image}" alt="${item.title}" class="item-image">
-            <div class="image-load-indicator">✓ Loaded</div>
-          </div>
-          <div class="item-info">
-            <h3>${item.title}</h3>
-            <span>Added: ${item.date}</span>
-            <div>❤️ ${item.likes}</div>
-          </div>
-        </div>
-      `;
-      galleryGrid.insertAdjacentHTML('beforeend', itemHTML);
-    });
+  galleryGrid.addEventListener('click', handleItemClick);
+  const closeBtn = modal && modal.querySelector('.close-quickview');
+  if (closeBtn) closeBtn.addEventListener('click', handleCloseClick);
 
-    if (successfulItems.length === 0) {
-      galleryGrid.innerHTML = `
-        <div class="error">
-          <p>⚠️ No images could be loaded.</p>
-          <p>Check console for errors and verify:</p>
-          <ol>
-            <li>Image files exist in correct location</li>
-            <li>File paths are correct (case-sensitive)</li>
-            <li>Server is running (if testing locally)</li>
-          </ol>
-        </div>
-      `;
+  gallery = {
+    grid: galleryGrid,
+    modal,
+    query: null,
+    teardown: () => {
+      galleryGrid.removeEventListener('click', handleItemClick);
+      if (closeBtn) closeBtn.removeEventListener('click', handleCloseClick);
     }
-  }
+  };
+
+  return updateGalleryPage(ctx);
+}
 
-  // 4. Initialize with error handling
-  try {
-    renderGallery(clothingItems);
-  } catch (error) {
-    console.error('Gallery rendering failed:', error);
-    if (galleryGrid) {
+// Called by spa.js when only the item or the query changed. Resolves once a
+// changed query has been rendered.
+function updateGalleryPage(ctx) {
+  if (!gallery) return;
+  const query = ctx.query || {};
+  let rendered = Promise.resolve();
+  if (JSON.stringify(query) !== JSON.stringify(gallery.query)) {
+    gallery.query = query;
+    const galleryGrid = gallery.grid;
+    // 4. Initialize with error handling
+    rendered = renderGallery(filterItems(clothingItems, query)).catch(error => {
+      console.error('Gallery rendering failed:', error);
       galleryGrid.innerHTML = `
         <div class="error">
           <p>⚠️ Gallery failed to load</p>
           <p>${error.message}</p>
         </div>
       `;
+    });
+  }
+  showQuickView(ctx.params && ctx.params.id ? getGalleryItem(ctx.params.id) : null);
+  return rendered;
+}
+
+function filterItems(items, query) {
+  let result = items;
+  if (query.category) {
+    result = result.filter(item => item.category === query.category);
+  }
+  if (gallerySorts[query.sort]) {
+    result = [...result].sort(gallerySorts[query.sort]);
+  }
+  return result;
+}
+
+// 2. Image loader with debugging
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.src = url;
+    img.onload = () => {
+      console.log(`Image loaded: ${url}`); // Debug 3
+      resolve(url);
+    };
+    img.onerror = () => {
+      console.error(`Failed to load: ${url}`); // Debug 4
+      reject(url);
+    };
+  });
+}
+
+// 3. Render function with image validation
+async function renderGallery(items, galleryGrid = gallery.grid) {
+  galleryGrid.innerHTML = '<div class="loading">Loading gallery...</div>';
+
+  let successfulItems = [];
+
+  // Verify each image loads before rendering
+  for (const item of items) {
+    try {
+      await loadImage(item.image);
+      successfulItems.push(item);
+    } catch (error) {
+      console.warn(`Skipping item "${item.title}" - image failed to load`);
     }
   }
 
-  // 5. Quick View Modal (simplified)
-  document.addEventListener('click', function(e) {
-    if (e.target.closest('.gallery-item')) {
-      const item = clothingItems.find(
-        item => item.title === e.target.closest('.gallery-item').querySelector('h3').textContent
-      );
-      if (item) {
-        alert(`Quick view would show: ${item.title}\nImage: ${item.image}`);
-        // Replace with your actual modal code when images work
-      }
+  // Bail out if the user navigated away while images were loading
+  if (!galleryGrid.isConnected) return;
+
+  // Render only items with valid images
+  galleryGrid.innerHTML = '';
+  successfulItems.forEach(item => {
+    const itemHTML = `
+      <div class="gallery-item" data-id="${item.id}" data-category="${item.category}">
+        <div class="item-image-container">
+          <img src="${item.image}" alt="${item.title}" class="item-image">
+          <div class="image-load-indicator">✓ Loaded</div>
+        </div>
+        <div class="item-info">
+          <h3>${item.title}</h3>
+          <span>Added: ${item.date}</span>
+          <div>❤️ ${item.likes}</div>
+        </div>
+      </div>
+    `;
+    galleryGrid.insertAdjacentHTML('beforeend', itemHTML);
+  });
+
+  if (items.length === 0) {
+    galleryGrid.innerHTML = '<div class="loading">Nothing in this category yet.</div>';
+  } else if (successfulItems.length === 0) {
+    galleryGrid.innerHTML = `
+      <div class="error">
+        <p>⚠️ No images could be loaded.</p>
+        <p>Check console for errors and verify:</p>
+        <ol>
+          <li>Image files exist in correct location</li>
+          <li>File paths are correct (case-sensitive)</li>
+          <li>Server is running (if testing locally)</li>
+        </ol>
+      </div>
+    `;
+  }
+}
+
+// Fill and show the quick view for an item, or hide it when item is null
+function showQuickView(item) {
+  const modal = gallery.modal;
+  if (!modal) return;
+  if (!item) {
+    modal.hidden = true;
+    return;
+  }
+
+  const content = modal.querySelector('.quick-view-content');
+  content.innerHTML = `
+    <div class="quick-view-image-container">
+      <img class="quick-view-image">
+    </div>
+    <div class="quick-view-details">
+      <h3></h3>
+      <p class="quick-view-description"></p>
+      <div class="quick-view-meta"></div>
+      <button class="view-full-details">Copy link</button>
+    </div>
+  `;
+  const img = content.querySelector('.quick-view-image');
+  img.src = item.image;
+  img.alt = item.title;
+  content.querySelector('h3').textContent = item.title;
+  content.querySelector('.quick-view-description').textContent = item.description;
+  content.querySelector('.quick-view-meta').textContent =
+    `${item.materials} · Added ${item.date} · ❤️ ${item.likes}`;
+
+  // Item routes are shareable, so offer the link
+  const copyBtn = content.querySelector('.view-full-details');
+  copyBtn.addEventListener('click', () => {
+    const url = `${location.origin}${location.pathname}${galleryHash({}, item.id)}`;
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url)
+        .then(() => { copyBtn.textContent = 'Link copied!'; })
+        .catch(err => console.error('Could not copy link:', err));
     }
   });
-});
\ No newline at end of file
+
+  modal.hidden = false;
+  if (window.bringToFront) window.bringToFront(modal);
+}
+
+// Called by spa.js when navigating away from the gallery
+function teardownGalleryPage() {
+  if (gallery) {
+    gallery.teardown();
+    gallery = null;
+  }
+}
+
+window.initGalleryPage = initGalleryPage;
+window.updateGalleryPage = updateGalleryPage;
+window.teardownGalleryPage = teardownGalleryPage;
+window.getGalleryItem = getGalleryItem;
@@ -0,0 +1,69 @@
+// mock-backend.js - In-browser fake backends for mock mode (see config.js)
+//
+// chatFixtures and reactionFixtures seed the memory chat transport
+// (chat-transport.js) and mockDiscordFetch() stands in for fetch() against
+// the Discord proxy.
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60000).toISOString();
+
+export const chatFixtures = [
+    { id: 1, created_at: minutesAgo(180), room: 'general', name: 'clutter', color: '#5d8aa8', wingdings: false, text: 'welcome to xchat (mock mode)' },
+    { id: 2, created_at: minutesAgo(176), room: 'general', name: 'pxldrm', color: '#c58fff', wingdings: false, text: 'is the a4x restock real' },
+    { id: 3, created_at: minutesAgo(175), room: 'general', name: 'clutter', color: '#5d8aa8', wingdings: false, text: 'soon™', reply_to: 2 },
+    { id: 4, created_at: minutesAgo(42), room: 'music', name: 'anon', color: '#8fd18f', wingdings: false, text: 'who made the xpod track list' },
+    { id: 5, created_at: minutesAgo(40), room: 'general', name: 'lördag', color: '#ffb38f', wingdings: true, effect: 'wingdings', text: 'hello' },
+    { id: 6, created_at: minutesAgo(12), room: 'fits', name: 'pxldrm', color: '#c58fff', wingdings: false, text: 'a4x with the grey cargos 🔥' }
+];
+
+// client_ids are made up; the visitor's own id is never among them
+export const reactionFixtures = [
+    { message_id: 1, emoji: '🎉', client_id: '00000000-0000-4000-8000-000000000001' },
+    { message_id: 1, emoji: '🎉', client_id: '00000000-0000-4000-8000-000000000002' },
+    { message_id: 3, emoji: '😂', client_id: '00000000-0000-4000-8000-000000000001' }
+];
+
+export const discordFixtures = [
+    {
+        id: '1003',
+        timestamp: minutesAgo(30),
+        content: 'Mock update: new gallery pieces are up!\nCheck the gallery tab.',
+        author: { id: '100', username: 'clutter', global_name: 'clutter x' },
+        attachments: [
+            { url: 'images/Gallery/4-5.png', filename: '4-5.png', contentType: 'image/png' }
+        ]
+    },
+    {
+        id: '1002',
+        timestamp: minutesAgo(60 * 26),
+        content: 'xEmpety A4x drops this weekend.',
+        author: { id: '100', username: 'clutter', global_name: 'clutter x' },
+        attachments: []
+    },
+    {
+        id: '1001',
+        timestamp: minutesAgo(60 * 24 * 6),
+        content: 'Site is live 🎉',
+        author: { id: '101', username: 'pxldrm' },
+        attachments: []
+    }
+];
+
+// Answers GET <apiUrl>?limit=&before= with the Discord fixtures, newest first
+export async function mockDiscordFetch(url) {
+    const params = new URL(url, location.href).searchParams;
+    const limit = Number(params.get('limit')) || 20;
+    const before = params.get('before');
+
+    let messages = [...discordFixtures].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    if (before) {
+        const index = messages.findIndex(msg => msg.id === before);
+        messages = index === -1 ? [] : messages.slice(index + 1);
+    }
+
+    // A little latency so loading states are visible
+    await new Promise(resolve => setTimeout(resolve, 300));
+    return new Response(JSON.stringify(messages.slice(0, limit)), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
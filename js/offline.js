@@ -0,0 +1,51 @@
+// offline.js - Service worker registration and the taskbar offline badge
+
+// Services that report whether their backend answered (xChat, updates feed).
+// true = reachable, false = unreachable, null = not in use right now.
+const serviceStatus = new Map();
+
+const serviceLabels = {
+    chat: 'xChat',
+    updates: 'Updates'
+};
+
+// Called by chat.js / discord-updates.js after each request
+export function reportServiceStatus(service, reachable) {
+    if (serviceStatus.get(service) === reachable) return;
+    serviceStatus.set(service, reachable);
+    updateOfflineBadge();
+}
+
+function updateOfflineBadge() {
+    const badge = document.getElementById('offline-badge');
+    if (!badge) return;
+
+    const down = [...serviceStatus]
+        .filter(([, reachable]) => reachable === false)
+        .map(([service]) => serviceLabels[service] || service);
+    const offline = !navigator.onLine;
+
+    badge.hidden = !offline && down.length === 0;
+    if (badge.hidden) return;
+
+    const text = badge.querySelector('.taskbar-text');
+    if (offline) {
+        text.textContent = 'Offline';
+        badge.title = 'No connection. Cached pages and music still work.';
+    } else {
+        text.textContent = `${down.join(' & ')} offline`;
+        badge.title = `Can't reach ${down.join(' and ')} right now.`;
+    }
+}
+
+window.addEventListener('online', updateOfflineBadge);
+window.addEventListener('offline', updateOfflineBadge);
+document.addEventListener('DOMContentLoaded', updateOfflineBadge);
+
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(err => {
+            console.error('Service worker registration failed:', err);
+        });
+    });
+}
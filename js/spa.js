@@ -1,43 +1,600 @@
 // spa.js
-async function loadPage(name, push = true) {
-  const container = document.getElementById('content');
-  container.innerHTML = '<p class="loading">Loading…</p>';
+
+// Route table. Each page declares where its fragment lives, an `enter` hook
+// that runs once the fragment is in #content, and an optional `leave` hook
+// that tears down whatever `enter` started (intervals, listeners, ...).
+//
+// `paths` lists the nested routes a page understands below its own name,
+// e.g. 'item/:id' makes #gallery/item/2 resolve to params { id: '2' }.
+// When only the params or query change, `update` is called instead of
+// re-fetching the fragment (pages without `update` are simply reloaded).
+// `validate` decides whether the params point at something that exists; when
+// it returns false the not-found window is shown instead of the page.
+// `title` and `description` feed the document title and share meta tags;
+// `meta` can override them from the params (gallery items, blog posts).
+// Pages that finish rendering later (the gallery waits for its images) can
+// return a promise from `enter`; a restored scroll offset is applied again
+// once it settles.
+const DEFAULT_ROUTE = 'shop';
+const NOT_FOUND_URL = 'pages/not_found.html';
+const SITE_NAME = 'clutterx';
+const DEFAULT_SHARE_IMAGE = 'images/clutter-header-blue-crome.png';
+
+const routes = {
+  home: {
+    url: 'pages/home.html',
+    title: 'Updates',
+    description: 'Latest news and drops from clutter x.',
+    enter: () => window.robustDiscordInit && window.robustDiscordInit(),
+    leave: () => window.stopDiscordUpdates && window.stopDiscordUpdates()
+  },
+  shop: {
+    url: 'pages/shop.html',
+    title: 'Shop',
+    description: 'Dream cellar. Selling a dream? Dream seller?',
+    paths: [':slug'],
+    validate: (ctx, container) => hasSlug(container, ctx.params.slug),
+    meta: (ctx, container) => slugMeta(container, ctx.params.slug),
+    enter: initShopPage,
+    update: initShopPage
+  },
+  gallery: {
+    url: 'pages/gallery.html',
+    title: 'Gallery',
+    description: 'Clothing made by clutter x.',
+    paths: ['item/:id'],
+    validate: ctx => !ctx.params.id || Boolean(window.getGalleryItem && window.getGalleryItem(ctx.params.id)),
+    meta: ctx => galleryItemMeta(ctx.params.id),
+    enter: (container, ctx) => window.initGalleryPage && window.initGalleryPage(container, ctx),
+    update: (container, ctx) => window.updateGalleryPage && window.updateGalleryPage(ctx),
+    leave: () => window.teardownGalleryPage && window.teardownGalleryPage()
+  },
+  blog: {
+    url: 'pages/blog.html',
+    title: 'Blog',
+    description: 'Notes from clutter x.',
+    paths: [':slug'],
+    validate: (ctx, container) => hasSlug(container, ctx.params.slug),
+    meta: (ctx, container) => slugMeta(container, ctx.params.slug),
+    enter: initBlogPage,
+    update: initBlogPage
+  }
+};
+
+// Split a hash like "gallery/item/2?sort=likes" into its parts
+function parseLocation(hash) {
+  const raw = hash.replace(/^#/, '') || DEFAULT_ROUTE;
+  const [pathPart, queryPart = ''] = raw.split('?');
+  const segments = pathPart.split('/').filter(Boolean).map(safeDecode);
+  return {
+    path: raw,
+    name: segments[0] || DEFAULT_ROUTE,
+    segments: segments.slice(1),
+    query: Object.fromEntries(new URLSearchParams(queryPart))
+  };
+}
+
+function safeDecode(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+// Match the segments after the page name against one of the route's paths.
+// Returns the params object, or null when nothing matches.
+function matchParams(route, segments) {
+  if (segments.length === 0) return {};
+  for (const pattern of route.paths || []) {
+    const parts = pattern.split('/');
+    if (parts.length !== segments.length) continue;
+    const params = {};
+    const matched = parts.every((part, i) => {
+      if (part.startsWith(':')) {
+        params[part.slice(1)] = segments[i];
+        return true;
+      }
+      return part === segments[i];
+    });
+    if (matched) return params;
+  }
+  return null;
+}
+
+// Resolve a hash into a navigation context handed to the page hooks
+function resolve(hash) {
+  const loc = parseLocation(hash);
+  const route = Object.prototype.hasOwnProperty.call(routes, loc.name) ? routes[loc.name] : null;
+  const params = route ? matchParams(route, loc.segments) : null;
+  return { ...loc, route, params };
+}
+
+// Fragment cache: url -> { html, fetchedAt }. Entries are mirrored into
+// sessionStorage so a reload in the same tab starts warm. A cached fragment is
+// shown immediately; once it is older than FRAGMENT_REVALIDATE_MS it is
+// re-fetched in the background so the next visit picks up any change.
+const FRAGMENT_REVALIDATE_MS = 60 * 1000;
+const FRAGMENT_STORAGE_PREFIX = 'spaFragment:';
+const fragmentCache = new Map();
+const pendingFragments = new Map();
+
+function readStoredFragment(url) {
   try {
-    const res = await fetch(`${name}.html`);
-    if (!res.ok) throw new Error('Not found');
-    container.innerHTML = await res.text();
-    
-    // Initialize page-specific scripts
-    if (name === 'shop') {
-      initShopPage();
+    const raw = sessionStorage.getItem(FRAGMENT_STORAGE_PREFIX + url);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeFragment(url, entry) {
+  fragmentCache.set(url, entry);
+  try {
+    sessionStorage.setItem(FRAGMENT_STORAGE_PREFIX + url, JSON.stringify(entry));
+  } catch {
+    // Storage full or disabled: the in-memory copy is enough
+  }
+}
+
+// Cached entry for url, from memory or sessionStorage
+function peekFragment(url) {
+  if (!fragmentCache.has(url)) {
+    const stored = readStoredFragment(url);
+    if (stored) fragmentCache.set(url, stored);
+  }
+  return fragmentCache.get(url) || null;
+}
+
+// Fetch a fragment over the network, sharing one request per url
+function fetchFragment(url, options) {
+  if (pendingFragments.has(url)) return pendingFragments.get(url);
+  const request = fetch(url, options)
+    .then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.text();
+    })
+    .then(html => {
+      storeFragment(url, { html, fetchedAt: Date.now() });
+      return html;
+    })
+    .finally(() => pendingFragments.delete(url));
+  pendingFragments.set(url, request);
+  return request;
+}
+
+async function getFragment(url) {
+  const cached = peekFragment(url);
+  if (!cached) return fetchFragment(url);
+  if (Date.now() - cached.fetchedAt > FRAGMENT_REVALIDATE_MS) {
+    fetchFragment(url, { cache: 'no-cache' }).catch(err => {
+      console.warn(`Could not revalidate ${url}:`, err);
+    });
+  }
+  return cached.html;
+}
+
+// Warm the cache for a path (nav hover/focus), ignoring failures
+function prefetchPage(path) {
+  const { route } = resolve(path);
+  if (!route || peekFragment(route.url)) return;
+  fetchFragment(route.url).catch(() => {});
+}
+
+// Currently mounted route and its context, so its hooks can run again
+let currentRoute = null;
+let currentCtx = null;
+// Path of the latest navigation, used to ignore duplicate events
+let renderedPath = null;
+// Bumped on every navigation; a slow fetch for an older one is discarded
+let navigationId = 0;
+// Position in the session history, stamped into history.state so popstate
+// can tell a back navigation from a forward one
+let historyIndex = 0;
+
+// `restore` is set for back/forward so the entry's scroll offset comes back;
+// any other navigation starts at the top of the page.
+async function loadPage(path, { push = true, direction = 'forward', restore = false } = {}) {
+  const container = document.getElementById('content');
+  const ctx = { ...resolve(path), direction };
+  const { route, name } = ctx;
+  const id = ++navigationId;
+  renderedPath = ctx.path;
+
+  if (push) {
+    saveScroll();
+    historyIndex += 1;
+    history.pushState({ page: ctx.path, index: historyIndex }, '', `#${ctx.path}`);
+  }
+
+  // Same page, different params: let the page update itself in place
+  if (route && route === currentRoute && route.update && ctx.params) {
+    if (isValid(route, ctx, container)) {
+      currentCtx = ctx;
+      route.update(container, ctx);
+      applyMeta(route, ctx, container);
+      return;
     }
+    leaveCurrentRoute();
+    await showNotFound(container, ctx, 'missing', id);
+    restoreScroll(restore);
+    return;
+  }
+
+  leaveCurrentRoute();
+  if (!route || !peekFragment(route.url)) {
+    container.innerHTML = '<p class="loading">Loading…</p>';
+  }
+  if (!route || !ctx.params) {
+    await showNotFound(container, ctx, route ? 'missing' : 'unknown', id);
+    restoreScroll(restore);
+    return;
+  }
+
+  let html;
+  try {
+    html = await getFragment(route.url);
+  } catch (err) {
+    if (id !== navigationId) return;
+    console.error(`Failed to load page "${name}":`, err);
+    await showNotFound(container, ctx, 'error', id);
+    restoreScroll(restore);
+    return;
+  }
+  if (id !== navigationId) return;
+
+  // Check the params against the fragment before it replaces the old page
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  if (!isValid(route, ctx, template.content)) {
+    await showNotFound(container, ctx, 'missing', id);
+    restoreScroll(restore);
+    return;
+  }
+  await transitionContent(container, () => { container.innerHTML = html; }, direction);
+  if (id !== navigationId) return;
+
+  currentRoute = route;
+  currentCtx = ctx;
+  applyMeta(route, ctx, container);
+  restoreScroll(restore);
+  let rendered = null;
+  try {
+    if (route.enter) rendered = route.enter(container, ctx);
+  } catch (err) {
+    console.error(`Error initializing page "${name}":`, err);
+  }
+  // Until then the offset was clamped against the page's placeholder
+  if (restore && rendered && typeof rendered.then === 'function') {
+    rendered.then(() => {
+      if (id === navigationId) restoreScroll(true);
+    }, () => {});
+  }
+}
+
+// Document title and description/Open Graph/Twitter tags for a page
+function applyMeta(route, ctx, container) {
+  let meta = {};
+  try {
+    meta = (route && route.meta && route.meta(ctx, container)) || {};
+  } catch (err) {
+    console.error('Error building page meta:', err);
+  }
+  const title = meta.title || (route ? route.title : 'Page Not Found');
+  const description = meta.description || (route && route.description) || '';
+  const image = new URL(meta.image || DEFAULT_SHARE_IMAGE, location.href).href;
+
+  document.title = title ? `${title} · ${SITE_NAME}` : SITE_NAME;
+  setMetaTag('name', 'description', description);
+  setMetaTag('property', 'og:title', document.title);
+  setMetaTag('property', 'og:description', description);
+  setMetaTag('property', 'og:image', image);
+  setMetaTag('property', 'og:url', location.href);
+  setMetaTag('name', 'twitter:card', meta.image ? 'summary_large_image' : 'summary');
+  setMetaTag('name', 'twitter:title', document.title);
+  setMetaTag('name', 'twitter:description', description);
+  setMetaTag('name', 'twitter:image', image);
+}
+
+function setMetaTag(attr, key, content) {
+  let tag = document.head.querySelector(`meta[${attr}="${key}"]`);
+  if (!tag) {
+    tag = document.createElement('meta');
+    tag.setAttribute(attr, key);
+    document.head.appendChild(tag);
+  }
+  tag.setAttribute('content', content);
+}
+
+function galleryItemMeta(id) {
+  const item = id && window.getGalleryItem ? window.getGalleryItem(id) : null;
+  if (!item) return null;
+  return { title: item.title, description: item.description, image: item.image };
+}
+
+// Title from the entry's heading, description from its first non-empty paragraph
+function slugMeta(container, slug) {
+  if (!slug) return null;
+  const entry = container.querySelector(`[data-slug="${CSS.escape(slug)}"]`);
+  if (!entry) return null;
+  const heading = entry.querySelector('h1, h2, h3');
+  const paragraph = [...entry.querySelectorAll('p')].find(p => p.textContent.trim());
+  const image = entry.querySelector('img');
+  return {
+    title: heading ? heading.textContent.trim() : null,
+    description: paragraph ? paragraph.textContent.trim() : null,
+    image: image ? image.getAttribute('src') : null
+  };
+}
+
+// Scroll offsets per history entry (by index), kept in sessionStorage so
+// they survive a reload. Both the window and the page's own scrolling
+// .window-content are tracked.
+const SCROLL_STORAGE_KEY = 'spaScroll';
+let scrollPositions = {};
+try {
+  scrollPositions = JSON.parse(sessionStorage.getItem(SCROLL_STORAGE_KEY)) || {};
+} catch {
+  scrollPositions = {};
+}
+if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+
+function pageScroller() {
+  return document.querySelector('#content .window-content');
+}
+
+function saveScroll() {
+  const inner = pageScroller();
+  scrollPositions[historyIndex] = {
+    x: window.scrollX,
+    y: window.scrollY,
+    inner: inner ? inner.scrollTop : 0
+  };
+  try {
+    sessionStorage.setItem(SCROLL_STORAGE_KEY, JSON.stringify(scrollPositions));
   } catch {
-    container.innerHTML = `<p class="error">Page “${name}” not found.</p>`;
+    // Not worth failing navigation over
+  }
+}
+
+function restoreScroll(restore) {
+  const pos = restore ? scrollPositions[historyIndex] : null;
+  window.scrollTo(pos ? pos.x : 0, pos ? pos.y : 0);
+  const inner = pageScroller();
+  if (inner) inner.scrollTop = pos ? pos.inner : 0;
+}
+
+function isValid(route, ctx, container) {
+  try {
+    return !route.validate || route.validate(ctx, container) !== false;
+  } catch (err) {
+    console.error('Error validating route:', err);
+    return false;
+  }
+}
+
+// Render pages/not_found.html for an unknown route ('unknown'), params that
+// point at nothing ('missing') or a fragment that failed to load ('error')
+async function showNotFound(container, ctx, reason, id) {
+  let html = null;
+  try {
+    html = await getFragment(NOT_FOUND_URL);
+  } catch (err) {
+    console.error('Failed to load the not-found page:', err);
+  }
+  if (id !== navigationId) return;
+
+  if (!html) {
+    container.innerHTML = '<p class="error"></p>';
+    container.firstChild.textContent = `Page “${ctx.path}” not found.`;
+    return;
+  }
+  await transitionContent(container, () => { container.innerHTML = html; }, ctx.direction);
+  if (id !== navigationId) return;
+  applyMeta(null, ctx, container);
+
+  const messages = {
+    unknown: `There is no page called “${ctx.name}”.`,
+    missing: `“${ctx.path}” doesn't exist on the ${ctx.name} page.`,
+    error: `The ${ctx.name} page could not be loaded. Check your connection and try again.`
+  };
+  container.querySelector('.not-found-message').textContent = messages[reason];
+
+  // Missing params: point back at the page itself; unknown: closest name
+  const suggestion = reason === 'missing' ? ctx.name
+    : reason === 'unknown' ? suggestRoute(ctx.name)
+    : null;
+  const suggestionEl = container.querySelector('.not-found-suggestion');
+  if (suggestion && suggestionEl) {
+    const link = suggestionEl.querySelector('a');
+    link.href = `#${suggestion}`;
+    link.textContent = `#${suggestion}`;
+    suggestionEl.hidden = false;
+  }
+
+  const list = container.querySelector('.not-found-links');
+  Object.keys(routes).forEach(routeName => {
+    const li = document.createElement('li');
+    const a = document.createElement('a');
+    a.href = `#${routeName}`;
+    a.textContent = routeName;
+    li.appendChild(a);
+    list.appendChild(li);
+  });
+}
+
+// Page transitions. The content swap runs inside a view transition where the
+// browser supports it, otherwise the old page plays a "close" animation and
+// the new one an "open" animation via CSS classes. The direction (forward or
+// back) is exposed on <html> so the stylesheet can mirror the motion.
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+const PAGE_ANIMATION_TIMEOUT = 400;
+
+function transitionContent(container, apply, direction = 'forward') {
+  if (reducedMotion.matches) {
+    apply();
+    return Promise.resolve();
+  }
+  document.documentElement.dataset.navDirection = direction;
+
+  if (document.startViewTransition) {
+    return document.startViewTransition(apply).updateCallbackDone
+      .catch(err => console.error('Page transition failed:', err));
+  }
+
+  // CSS fallback; skip the close animation while only a placeholder is shown
+  const closing = container.querySelector('.loading')
+    ? Promise.resolve()
+    : playAnimation(container, 'page-closing');
+  return closing.then(() => {
+    apply();
+    playAnimation(container, 'page-opening');
+  });
+}
+
+// Add an animation class and resolve once it finished (or timed out)
+function playAnimation(el, className) {
+  return new Promise(resolve => {
+    el.classList.remove('page-closing', 'page-opening');
+    void el.offsetWidth; // Restart the animation
+    el.classList.add(className);
+    const done = () => {
+      clearTimeout(timer);
+      el.removeEventListener('animationend', onEnd);
+      el.classList.remove(className);
+      resolve();
+    };
+    const onEnd = e => {
+      if (e.target === el) done();
+    };
+    const timer = setTimeout(done, PAGE_ANIMATION_TIMEOUT);
+    el.addEventListener('animationend', onEnd);
+  });
+}
+
+// Closest registered route name, if it is close enough to be a typo
+function suggestRoute(name) {
+  const target = name.toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  Object.keys(routes).forEach(routeName => {
+    const distance = editDistance(target, routeName);
+    if (distance < bestDistance) {
+      best = routeName;
+      bestDistance = distance;
+    }
+  });
+  const threshold = Math.max(2, Math.floor(target.length / 3));
+  return bestDistance <= threshold || best.startsWith(target) ? best : null;
+}
+
+// Levenshtein distance
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function leaveCurrentRoute() {
+  if (!currentRoute) return;
+  const route = currentRoute;
+  currentRoute = null;
+  try {
+    if (route.leave) route.leave(currentCtx);
+  } catch (err) {
+    console.error('Error tearing down page:', err);
+  }
+}
+
+function hasSlug(container, slug) {
+  return !slug || Boolean(container.querySelector(`[data-slug="${CSS.escape(slug)}"]`));
+}
+
+// Scroll a [data-slug] block of the page into view and flash it
+function focusSlug(container, slug) {
+  if (!slug) return;
+  const target = container.querySelector(`[data-slug="${CSS.escape(slug)}"]`);
+  if (!target) {
+    console.warn(`No entry "${slug}" on this page`);
+    return;
   }
-  if (push) history.pushState({ page: name }, '', `#${name}`);
+  target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  target.classList.remove('slug-highlight');
+  void target.offsetWidth; // Restart the animation
+  target.classList.add('slug-highlight');
 }
 
 // Shop page initialization
-function initShopPage() {
+function initShopPage(container, ctx) {
   // No MailerLite initialization needed; handled by Universal snippet.
   console.log('Initializing shop page...');
+  focusSlug(container, ctx.params.slug);
 }
 
+// Blog page: #blog/<slug> jumps to that post
+function initBlogPage(container, ctx) {
+  focusSlug(container, ctx.params.slug);
+}
+
+function currentPath() {
+  return parseLocation(location.hash).path;
+}
 
 // Intercept top nav (decorative) clicks
 document.querySelectorAll('a.nav-button').forEach(link => {
+  const path = link.getAttribute('href').slice(1);
   link.addEventListener('click', e => {
     e.preventDefault();
-    loadPage(link.getAttribute('href').slice(1));
+    if (path !== currentPath()) loadPage(path);
   });
+  link.addEventListener('pointerenter', () => prefetchPage(path));
+  link.addEventListener('focus', () => prefetchPage(path));
 });
 
-// Browser back/forward
-window.addEventListener('popstate', e => {
-  const page = e.state?.page || (location.hash.slice(1) || 'shop');
-  loadPage(page, false);
+// Start menu entries carry their route in data-route
+document.querySelectorAll('#start-menu [data-route]').forEach(entry => {
+  const path = entry.dataset.route;
+  entry.addEventListener('click', () => {
+    document.getElementById('start-menu').style.display = 'none';
+    if (path !== currentPath()) loadPage(path);
+  });
+  entry.addEventListener('keydown', e => {
+    if (e.key === 'Enter') entry.click();
+  });
+  entry.addEventListener('pointerenter', () => prefetchPage(path));
+  entry.addEventListener('focus', () => prefetchPage(path));
 });
 
+// Browser back/forward. Assigning location.hash (header, start button, page
+// links) fires both popstate and hashchange, so only act once per entry.
+// Entries we did not create ourselves get stamped with the next index.
+function syncWithLocation() {
+  const path = currentPath();
+  const state = history.state;
+  const known = Boolean(state && typeof state.index === 'number');
+  if (path === renderedPath && (!known || state.index === historyIndex)) return;
+
+  if (renderedPath !== null) saveScroll();
+  let direction = 'forward';
+  if (known) {
+    if (state.index < historyIndex) direction = 'back';
+    historyIndex = state.index;
+  } else {
+    historyIndex += 1;
+    history.replaceState({ page: path, index: historyIndex }, '');
+  }
+  if (path !== renderedPath) loadPage(path, { push: false, direction, restore: known });
+}
+
+window.addEventListener('popstate', syncWithLocation);
+
 // Chat toggle (matches your #chat-btn)
 const chatBtn = document.getElementById('chat-btn');
 if (chatBtn) {
@@ -56,42 +613,8 @@ if (musicBtn) {
   });
 }
 
-// Initial load: use hash or default to home
+// Initial load: use hash or default to the shop
 document.addEventListener('DOMContentLoaded', () => {
-  const initial = location.hash.slice(1) || 'shop';
-  loadPage(initial, false);
-  if (initial === 'home' && window.robustDiscordInit) {
-    // Wait for DOM elements to exist before initializing
-    const waitForDiscordElements = (cb) => {
-      const dc = document.getElementById('discord-content');
-      const ul = document.getElementById('updates-loading');
-      const uc = document.getElementById('updates-content');
-      if (dc && ul && uc) {
-        cb();
-      } else {
-        setTimeout(() => waitForDiscordElements(cb), 30);
-      }
-    };
-    waitForDiscordElements(() => window.robustDiscordInit());
-  }
-
-  // Listen for hash changes and load the correct page
-  window.addEventListener('hashchange', async () => {
-    const page = location.hash.slice(1) || 'shop';
-    await loadPage(page, false);
-    if (page === 'home' && window.robustDiscordInit) {
-      // Wait for DOM elements to exist before initializing
-      const waitForDiscordElements = (cb) => {
-        const dc = document.getElementById('discord-content');
-        const ul = document.getElementById('updates-loading');
-        const uc = document.getElementById('updates-content');
-        if (dc && ul && uc) {
-          cb();
-        } else {
-          setTimeout(() => waitForDiscordElements(cb), 30);
-        }
-      };
-      waitForDiscordElements(() => window.robustDiscordInit());
-    }
-  });
+  syncWithLocation();
+  window.addEventListener('hashchange', syncWithLocation);
 });
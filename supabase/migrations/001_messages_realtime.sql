@@ -0,0 +1,6 @@
+-- Stream inserts, updates and deletes on public.messages to xChat clients
+-- (Supabase Realtime postgres_changes, see js/chat-transport.js).
+alter publication supabase_realtime add table public.messages;
+
+-- Cursor polling (created_at > last seen) is the fallback when the socket drops
+create index if not exists messages_created_at_idx on public.messages (created_at);
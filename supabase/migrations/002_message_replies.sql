@@ -0,0 +1,7 @@
+-- Replies: a message can point at the message it answers.
+-- No foreign key on purpose: when the parent is deleted the reply keeps the
+-- reference and xChat shows "original message was deleted" instead of
+-- silently turning it into a plain message.
+alter table public.messages add column if not exists reply_to bigint;
+
+create index if not exists messages_reply_to_idx on public.messages (reply_to);
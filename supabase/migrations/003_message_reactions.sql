@@ -0,0 +1,75 @@
+-- Emoji reactions on xChat messages. One row per (message, emoji, visitor);
+-- client_id is the random id each browser keeps in localStorage.
+--
+-- client_id is public, so it can't decide who may remove a reaction. Every
+-- browser also keeps a random secret (localStorage chatSecret) and sends it
+-- as the x-chat-secret header; rows store its sha256 as author_hash, set by
+-- the database, and only that secret can delete them.
+create extension if not exists pgcrypto with schema extensions;
+
+-- sha256 (hex) of this request's x-chat-secret header, null without one
+create or replace function public.chat_secret_hash()
+returns text
+language sql
+stable
+as $$
+  select encode(
+    extensions.digest(nullif(current_setting('request.headers', true)::json ->> 'x-chat-secret', ''), 'sha256'),
+    'hex'
+  )
+$$;
+
+create table if not exists public.message_reactions (
+  message_id bigint not null references public.messages (id) on delete cascade,
+  emoji text not null check (char_length(emoji) between 1 and 16),
+  client_id uuid not null,
+  author_hash text,
+  created_at timestamptz not null default now(),
+  primary key (message_id, emoji, client_id)
+);
+
+create or replace function public.message_reactions_before_insert()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.author_hash := public.chat_secret_hash();
+  return new;
+end;
+$$;
+
+drop trigger if exists message_reactions_before_insert on public.message_reactions;
+create trigger message_reactions_before_insert
+  before insert on public.message_reactions
+  for each row execute function public.message_reactions_before_insert();
+
+-- Reactions are added and removed, never changed
+revoke update on public.message_reactions from anon, authenticated;
+
+alter table public.message_reactions enable row level security;
+
+create policy "Reactions are public"
+  on public.message_reactions for select
+  using (true);
+
+create policy "Visitors can react"
+  on public.message_reactions for insert
+  with check (
+    author_hash is not null
+    -- A client_id belongs to the first secret that reacted with it, so
+    -- nobody can react (or block a reaction) in someone else's name
+    and not exists (
+      select 1 from public.message_reactions other
+      where other.client_id = message_reactions.client_id
+        and other.author_hash is not null
+        and other.author_hash <> message_reactions.author_hash
+    )
+  );
+
+create policy "Visitors can remove their own reactions"
+  on public.message_reactions for delete
+  using (author_hash is not null and author_hash = public.chat_secret_hash());
+
+-- Delete events carry the primary key (message_id, emoji, client_id),
+-- which is all the client needs to drop a reaction
+alter publication supabase_realtime add table public.message_reactions;
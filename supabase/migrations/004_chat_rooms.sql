@@ -0,0 +1,6 @@
+-- Rooms: every message belongs to one (see config.chat.rooms).
+-- Messages from before rooms existed land in #general.
+alter table public.messages add column if not exists room text not null default 'general';
+
+-- History and cursor polling are per room
+create index if not exists messages_room_created_at_idx on public.messages (room, created_at);
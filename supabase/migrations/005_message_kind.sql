@@ -0,0 +1,4 @@
+-- Message kinds: 'text' for normal messages, 'action' for /me style lines
+-- (also used by /np and /roll, see js/chat-commands.js).
+alter table public.messages add column if not exists kind text not null default 'text'
+  check (kind in ('text', 'action'));
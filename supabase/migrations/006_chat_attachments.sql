@@ -0,0 +1,31 @@
+-- Image attachments for xChat. Files go to the public chat-attachments
+-- bucket (resized in the browser first, see js/chat-attachments.js) and the
+-- message row keeps the public URL and the image size for layout.
+--
+-- Every reader's browser loads attachment_url, so it may only point into
+-- the bucket (paths as js/chat-transport.js uploads them); keep the host in
+-- step with config.supabase.url.
+alter table public.messages
+  add column if not exists attachment_url text
+    check (attachment_url is null or attachment_url ~
+      '^https://ztqjfchivferpkqubjpy\.supabase\.co/storage/v1/object/public/chat-attachments/[0-9]{4}-[0-9]{2}-[0-9]{2}/[A-Za-z0-9-]+\.(png|jpg|gif|webp|img)$'),
+  add column if not exists attachment_width integer,
+  add column if not exists attachment_height integer;
+
+-- Keep in step with config.chat.attachments
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values ('chat-attachments', 'chat-attachments', true, 2097152,
+        array['image/png', 'image/jpeg', 'image/gif', 'image/webp'])
+on conflict (id) do update
+  set public = excluded.public,
+      file_size_limit = excluded.file_size_limit,
+      allowed_mime_types = excluded.allowed_mime_types;
+
+create policy "Anyone can read chat attachments"
+  on storage.objects for select
+  using (bucket_id = 'chat-attachments');
+
+-- Uploads only, no overwriting or deleting other people's files
+create policy "Anyone can upload chat attachments"
+  on storage.objects for insert
+  with check (bucket_id = 'chat-attachments');
@@ -0,0 +1,92 @@
+-- Let authors edit and delete their own xChat messages for a while after
+-- sending them. xChat has no accounts: every browser keeps a random secret
+-- (localStorage chatSecret) and sends it as the x-chat-secret header. Rows
+-- store only its sha256 as author_hash (chat_secret_hash(), from 003, where
+-- reactions use the same secret), set by the database on insert, and the
+-- update policy below compares the two.
+alter table public.messages
+  add column if not exists author_hash text,
+  add column if not exists edited_at timestamptz,
+  add column if not exists deleted_at timestamptz;
+
+create or replace function public.messages_before_insert()
+returns trigger
+language plpgsql
+as $$
+begin
+  -- Whatever the client sent, authorship comes from the header
+  new.author_hash := public.chat_secret_hash();
+  new.edited_at := null;
+  new.deleted_at := null;
+  -- A future created_at would keep the row editable forever and stay
+  -- "newest", hiding later rows from the created_at cursors clients poll with
+  new.created_at := now();
+  return new;
+end;
+$$;
+
+-- Edits stamp edited_at; deleting leaves a tombstone (the row stays so
+-- replies and reactions keep pointing somewhere) and can't be undone
+create or replace function public.messages_before_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if old.deleted_at is not null then
+    raise exception 'message % has been deleted', old.id;
+  end if;
+  if new.deleted_at is not null then
+    new.deleted_at := now();
+    new.text := '';
+    new.attachment_url := null;
+    new.attachment_width := null;
+    new.attachment_height := null;
+    new.edited_at := old.edited_at;
+  elsif new.text is distinct from old.text then
+    new.edited_at := now();
+  else
+    new.edited_at := old.edited_at;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists messages_before_insert on public.messages;
+create trigger messages_before_insert
+  before insert on public.messages
+  for each row execute function public.messages_before_insert();
+
+drop trigger if exists messages_before_update on public.messages;
+create trigger messages_before_update
+  before update on public.messages
+  for each row execute function public.messages_before_update();
+
+-- Clients may only ever touch these two columns
+revoke update on public.messages from anon, authenticated;
+grant update (text, deleted_at) on public.messages to anon, authenticated;
+-- Tombstones replace deleting, so rows are never removed by clients
+revoke delete on public.messages from anon, authenticated;
+
+alter table public.messages enable row level security;
+
+drop policy if exists "Messages are public" on public.messages;
+create policy "Messages are public"
+  on public.messages for select
+  using (true);
+
+drop policy if exists "Anyone can post" on public.messages;
+create policy "Anyone can post"
+  on public.messages for insert
+  with check (true);
+
+-- Keep the window in step with config.chat.editWindow
+drop policy if exists "Authors can change recent messages" on public.messages;
+create policy "Authors can change recent messages"
+  on public.messages for update
+  using (
+    author_hash is not null
+    and author_hash = public.chat_secret_hash()
+    and deleted_at is null
+    and created_at > now() - interval '15 minutes'
+  )
+  with check (author_hash = public.chat_secret_hash());
@@ -0,0 +1,140 @@
+-- Optional name claiming for xChat. A visitor locks a name with a
+-- passphrase; the browser turns name + passphrase into a key (PBKDF2, see
+-- js/chat-names.js) and only that key is ever sent. The database keeps the
+-- key's sha256, so a leaked table doesn't unlock any name.
+--
+-- Messages under a claimed name need the key in the x-chat-name-key
+-- header and are marked name_verified.
+
+create table if not exists public.chat_names (
+  name_key text primary key,
+  name text not null,
+  key_hash text not null,
+  claimed_at timestamptz not null default now()
+);
+
+-- No policies: clients only reach it through the functions below
+alter table public.chat_names enable row level security;
+
+-- NFKC with invisible format characters (\p{Cf}: zero-width spaces,
+-- direction marks, ...) removed and whitespace trimmed from both ends. The
+-- character classes spell out what JavaScript's \p{Cf} and \s match, so
+-- this agrees with normalizeName() in js/chat-names.js; trim() would only
+-- strip spaces and let "\tclutter" pass for a different name.
+create or replace function public.chat_trim_name(p_name text)
+returns text
+language sql
+immutable
+as $$
+  select regexp_replace(
+    regexp_replace(normalize(coalesce(p_name, ''), NFKC), '[\u00ad\u0600-\u0605\u061c\u06dd\u070f\u0890\u0891\u08e2\u180e\u200b-\u200f\u202a-\u202e\u2060-\u2064\u2066-\u206f\ufeff\ufff9-\ufffb\U000110bd\U000110cd\U00013430-\U0001343f\U0001bca0-\U0001bca3\U0001d173-\U0001d17a\U000e0001\U000e0020-\U000e007f]+', '', 'g'),
+    '^[\t\n\v\f\r \u00a0\u1680\u2000-\u200a\u2028\u2029\u202f\u205f\u3000\ufeff]+|[\t\n\v\f\r \u00a0\u1680\u2000-\u200a\u2028\u2029\u202f\u205f\u3000\ufeff]+$', '', 'g')
+$$;
+
+-- "Lil  Bub", "lil_bub", " lil bub " and "Ｌｉｌ Ｂｕｂ" are the same name
+-- (mentions turn spaces into underscores, see js/chat-mentions.js)
+create or replace function public.chat_name_key(p_name text)
+returns text
+language sql
+immutable
+as $$
+  select regexp_replace(lower(public.chat_trim_name(p_name)), '([\t\n\v\f\r \u00a0\u1680\u2000-\u200a\u2028\u2029\u202f\u205f\u3000\ufeff]|_)+', ' ', 'g')
+$$;
+
+create or replace function public.chat_key_hash(p_key text)
+returns text
+language sql
+immutable
+as $$
+  select encode(extensions.digest(nullif(p_key, ''), 'sha256'), 'hex')
+$$;
+
+-- 'free', 'yours' (p_key unlocks it) or 'taken'
+create or replace function public.chat_name_status(p_name text, p_key text)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when names.key_hash is null then 'free'
+    when names.key_hash = public.chat_key_hash(p_key) then 'yours'
+    else 'taken'
+  end
+  from (select 1) as one
+  left join public.chat_names as names on names.name_key = public.chat_name_key(p_name)
+$$;
+
+-- Claim a free name, or check the key of one already claimed. Returns
+-- 'claimed' or 'verified'; a wrong key raises with hint 'name_taken'.
+create or replace function public.claim_name(p_name text, p_key text)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  status text;
+begin
+  if char_length(coalesce(p_key, '')) < 32 then
+    raise exception 'invalid name key';
+  end if;
+  if public.chat_name_key(p_name) in ('', 'anon') or char_length(public.chat_name_key(p_name)) > 32 then
+    raise exception 'this name can not be claimed' using hint = 'name_invalid';
+  end if;
+  status := public.chat_name_status(p_name, p_key);
+  if status = 'free' then
+    insert into public.chat_names (name_key, name, key_hash)
+    values (public.chat_name_key(p_name), public.chat_trim_name(p_name), public.chat_key_hash(p_key))
+    on conflict (name_key) do nothing;
+    -- Someone else claimed it a moment ago
+    if found then
+      return 'claimed';
+    end if;
+    status := 'taken';
+  end if;
+  if status = 'taken' then
+    raise exception 'name "%" is already claimed', public.chat_trim_name(p_name) using hint = 'name_taken';
+  end if;
+  return 'verified';
+end;
+$$;
+
+revoke all on function public.chat_name_status(text, text) from public;
+revoke all on function public.claim_name(text, text) from public;
+grant execute on function public.chat_name_status(text, text) to anon, authenticated;
+grant execute on function public.claim_name(text, text) to anon, authenticated;
+
+alter table public.messages
+  add column if not exists name_verified boolean not null default false;
+
+create or replace function public.chat_request_name_key()
+returns text
+language sql
+stable
+as $$
+  select nullif(current_setting('request.headers', true)::json ->> 'x-chat-name-key', '')
+$$;
+
+-- Same as in 007, plus the verified marker
+create or replace function public.messages_before_insert()
+returns trigger
+language plpgsql
+as $$
+begin
+  -- Whatever the client sent, authorship comes from the headers
+  new.author_hash := public.chat_secret_hash();
+  new.name_verified := public.chat_name_status(new.name, public.chat_request_name_key()) = 'yours';
+  new.edited_at := null;
+  new.deleted_at := null;
+  new.created_at := now();
+  return new;
+end;
+$$;
+
+-- Claimed names only with their key
+drop policy if exists "Anyone can post" on public.messages;
+create policy "Anyone can post, claimed names need their key"
+  on public.messages for insert
+  with check (public.chat_name_status(name, public.chat_request_name_key()) <> 'taken');
@@ -0,0 +1,7 @@
+-- Text effects for xChat (js/chat-effects.js). Messages keep the text as
+-- typed and the effect is applied when they are shown, so the original is
+-- never lost. The old wingdings flag stays for older clients; rows that
+-- only have it hold text that was converted before it was stored.
+alter table public.messages
+  add column if not exists effect text
+  check (effect is null or effect in ('wingdings', 'zalgo', 'uwu', 'vaporwave', 'leet', 'mirror'));
@@ -0,0 +1,11 @@
+-- Make sending a message idempotent. The outbox (js/chat-outbox.js) sends
+-- its entry id as client_message_id and retries when it hears nothing back,
+-- which also happens when the insert went through and only the response was
+-- lost. The unique index turns such a retry into a conflict, and the client
+-- then fetches the row it already stored instead of posting it again.
+alter table public.messages
+  add column if not exists client_message_id text
+  check (client_message_id is null or char_length(client_message_id) between 1 and 64);
+
+create unique index if not exists messages_client_message_id_key
+  on public.messages (client_message_id);
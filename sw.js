@@ -0,0 +1,196 @@
+// sw.js - Service worker for offline use
+//
+// - The shell (index.html, css, js, fonts, nav buttons) and the page
+//   fragments are precached and served stale-while-revalidate.
+// - Album art and gallery images are cached the first time they load and
+//   refreshed in the background, so a replaced file shows up on the next visit.
+// - Music is cached once a track has been streamed, so the xPod can replay
+//   it offline. Range requests are answered from the cached file.
+// - The Supabase client from the CDN is cached so chat.js still loads (and
+//   can report that chat is unreachable) without a network.
+//
+// Bump CACHE_VERSION whenever the precache list changes.
+
+const CACHE_VERSION = 'v13';
+const SHELL_CACHE = `clutterx-shell-${CACHE_VERSION}`;
+const MEDIA_CACHE = 'clutterx-media';
+const MUSIC_CACHE = 'clutterx-music';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'css/styles.css',
+  'css/chat.css',
+  'css/music-player.css',
+  'css/gallery.css',
+  'js/spa.js',
+  'js/gallery.js',
+  'js/sparkles.js',
+  'js/chat.js',
+  'js/chat-transport.js',
+  'js/chat-time.js',
+  'js/chat-presence.js',
+  'js/chat-notify.js',
+  'js/chat-commands.js',
+  'js/chat-mentions.js',
+  'js/chat-format.js',
+  'js/chat-attachments.js',
+  'js/chat-outbox.js',
+  'js/chat-names.js',
+  'js/chat-effects.js',
+  'js/banlist.js',
+  'js/taskbar.js',
+  'js/music-player.js',
+  'js/discord-updates.js',
+  'js/offline.js',
+  'js/config.js',
+  'js/mock-backend.js',
+  'pages/home.html',
+  'pages/shop.html',
+  'pages/gallery.html',
+  'pages/blog.html',
+  'pages/not_found.html',
+  'fonts/Michroma-Regular.ttf',
+  'images/clutter-header-blue-crome.png',
+  'images/assets/pxldrm.png',
+  'images/placeholder.svg',
+  'images/buttons/nav-x.png',
+  'images/buttons/nav-shop.png',
+  'images/buttons/nav-gallery.png',
+  'images/buttons/nav-blog.png',
+  'images/buttons/start-flag.png',
+  'images/buttons/xpod-btn-play.png',
+  'images/buttons/xpod-btn-pause.png',
+  'images/buttons/xpod-btn-fastbackward.png',
+  'images/buttons/xpod-btn-fastforward.png'
+];
+
+// Third-party hosts whose GET responses are worth keeping for offline use
+const CACHED_CDN_HOSTS = ['cdn.jsdelivr.net'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  const keep = [SHELL_CACHE, MEDIA_CACHE, MUSIC_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => !keep.includes(key)).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // config.js fetches config.local.json (or ?config=<path>) with no-store so
+  // removing the file takes effect on the next load; never cache those
+  if (request.cache === 'no-store' || url.pathname.endsWith('/config.local.json')) return;
+
+  if (url.origin !== self.location.origin) {
+    if (CACHED_CDN_HOSTS.includes(url.hostname)) {
+      event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    }
+    // Supabase, the Discord proxy etc. always go to the network
+    return;
+  }
+
+  if (url.pathname.includes('/music/')) {
+    event.respondWith(musicResponse(request));
+  } else if (url.pathname.includes('/images/')) {
+    event.respondWith(staleWhileRevalidate(request, MEDIA_CACHE));
+  } else if (request.mode === 'navigate') {
+    // Any navigation is the SPA shell; the hash picks the page
+    event.respondWith(
+      staleWhileRevalidate(request, SHELL_CACHE)
+        .catch(() => caches.match('index.html'))
+    );
+  } else {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+  }
+});
+
+// Serve from cache right away and refresh the cached copy in the background
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) cache.put(request, response.clone());
+      return response;
+    });
+  if (cached) {
+    network.catch(() => {}); // Offline: the cached copy is all we have
+    return cached;
+  }
+  return network;
+}
+
+// Tracks currently being downloaded in full for the music cache
+const pendingTracks = new Set();
+
+async function musicResponse(request) {
+  const cache = await caches.open(MUSIC_CACHE);
+  const cached = await cache.match(request.url);
+  if (cached) {
+    return request.headers.has('range') ? rangeResponse(request, cached) : cached;
+  }
+
+  const response = await fetch(request);
+  // Audio elements stream with Range requests and partial (206) responses
+  // can't be cached, so fetch the whole file once in the background.
+  if (response.status === 206 && !pendingTracks.has(request.url)) {
+    pendingTracks.add(request.url);
+    fetch(request.url)
+      .then(full => (full.ok ? cache.put(request.url, full) : null))
+      .catch(err => console.warn('Could not cache track:', request.url, err))
+      .finally(() => pendingTracks.delete(request.url));
+  } else if (response.status === 200) {
+    cache.put(request.url, response.clone());
+  }
+  return response;
+}
+
+// Build a 206 response for a "Range: bytes=start-end" request from a full one
+async function rangeResponse(request, response) {
+  const buffer = await response.arrayBuffer();
+  const size = buffer.byteLength;
+  const match = /bytes=(\d*)-(\d*)/.exec(request.headers.get('range') || '');
+  if (!match) return new Response(buffer, { headers: response.headers });
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(match[2]));
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+  if (start >= size || start > end) {
+    return new Response(null, {
+      status: 416,
+      headers: { 'Content-Range': `bytes */${size}` }
+    });
+  }
+
+  return new Response(buffer.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || 'audio/mpeg',
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+      'Content-Length': String(end - start + 1),
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}